@@ -1,10 +1,13 @@
 /**
- * Updated AudioEngine with pressure matrix control, Web Audio API effects,
- * and visual cell feedback.
+ * Updated AudioEngine with pressure matrix control, RNBO effect devices
+ * (with Web Audio API fallbacks), and visual cell feedback.
  */
 
+import { effectRegistry } from './effect-registry.js';
+
 export class AudioEngine {
-    constructor() {
+    constructor(registry = effectRegistry) {
+        this.registry = registry;
         this.audioContext = null;
         this.microphone = null;
         this.masterGain = null;
@@ -12,16 +15,22 @@ export class AudioEngine {
         this.effectsOutput = null;
 
         this.effectNodes = {};
-        this.webAudioEffects = {};
+        this.effects = {}; // effectName -> { active, type: 'rnbo' | 'webaudio', nodes }
+        this.rnboPatchers = {}; // effectName -> exported patcher JSON
+        this.rnbo = null; // @rnbo/js module, once loaded
+        this.effectInstancePool = {}; // effectName -> idle per-voice effect instances
+        this.loadedWorklets = new Set(); // AudioWorklet module URLs already added
+        this.onEffectParameterChange = null;
 
         this.recordedChunks = [];
         this.mediaRecorder = null;
         this.performanceRecorder = null;
 
         this.currentSources = [];
-        this.activeLoopedSources = new Map(); // gridIndex -> { source, dryGain, wetGain }
+        this.activeLoopedSources = new Map(); // gridIndex -> { source, chain: [{ effectName, presetName, nodes }], mainGain, dryGain, wetGain }
+        this.pendingLoopStarts = new Map(); // gridIndex -> token of the start still decoding or building effects
 
-        this.gridState = Array.from({ length: 10 }, () => Array(10).fill(false));
+        this.setMatrixSize(10, 10);
 
         // Create audio context immediately but it will be in 'suspended' state
         this.initializeAudioContext();
@@ -65,7 +74,7 @@ export class AudioEngine {
     }
 
     async loadAllRNBOEffects() {
-        console.log("Loading Web Audio API effects instead of RNBO...");
+        console.log("Loading RNBO effects...");
         
         try {
             const context = this.audioContext;
@@ -74,186 +83,218 @@ export class AudioEngine {
                 console.log("AudioContext resumed successfully.");
             }
 
-            // Create simple Web Audio API effects
-            this.createWebAudioEffects();
-            console.log("✓ All Web Audio effects loaded successfully.");
+            // Load the RNBO runtime lazily so a CDN failure only costs us the devices
+            try {
+                this.rnbo = await import('@rnbo/js');
+            } catch (error) {
+                console.warn("⚠ RNBO runtime unavailable, using Web Audio effects:", error);
+            }
+
+            for (const definition of this.registry.getAll()) {
+                try {
+                    this.effects[definition.id] = await this.loadEffect(definition.id);
+                } catch (error) {
+                    // One broken effect shouldn't take the rest of the engine down
+                    console.error(`❌ Effect '${definition.id}' could not be loaded:`, error);
+                }
+            }
+
+            const effectCount = Object.keys(this.effects).length;
+            const rnboCount = Object.values(this.effects).filter(effect => effect.type === 'rnbo').length;
+            console.log(`✓ All effects loaded (${rnboCount} RNBO, ${effectCount - rnboCount} Web Audio).`);
         } catch (error) {
             console.error("❌ Failed to load effects:", error);
             throw error;
         }
     }
 
-    createWebAudioEffects() {
-        const effects = ['pitchshifter', 'ringmod', 'freezer', 'vibrato', 'filterdelay', 'octaver'];
-        
-        effects.forEach(effectName => {
-            this.webAudioEffects[effectName] = {
-                active: false,
-                nodes: this.createEffectNodes(effectName)
-            };
-        });
+    async loadEffect(effectName) {
+        // The loaded instance holds the effect's shared settings; voices get their own copies
+        if (this.rnbo && this.registry.get(effectName).patcher) {
+            try {
+                const nodes = await this.createRNBOEffectNodes(effectName);
+
+                // Let the UI follow parameter changes made by presets
+                nodes.device.parameterChangeEvent.subscribe(param => {
+                    if (this.onEffectParameterChange) {
+                        this.onEffectParameterChange(effectName, param.id, param.value);
+                    }
+                });
+
+                console.log(`✓ RNBO effect '${effectName}' loaded.`);
+                return { active: false, type: 'rnbo', nodes };
+            } catch (error) {
+                console.warn(`⚠ RNBO effect '${effectName}' failed to load, falling back to Web Audio:`, error);
+            }
+        }
+
+        await this.loadEffectWorklets(effectName);
+        return { active: false, type: 'webaudio', nodes: this.createEffectNodes(effectName) };
     }
 
-    createEffectNodes(effectName) {
+    async loadEffectWorklets(effectName) {
+        for (const url of this.registry.get(effectName).worklets) {
+            if (this.loadedWorklets.has(url)) continue;
+            await this.audioContext.audioWorklet.addModule(url);
+            this.loadedWorklets.add(url);
+            console.log(`✓ AudioWorklet loaded: ${url}`);
+        }
+    }
+
+    async loadRNBOPatcher(effectName) {
+        if (!this.rnboPatchers[effectName]) {
+            const url = this.registry.get(effectName).patcher;
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`Failed to fetch ${url} (HTTP ${response.status})`);
+            }
+            this.rnboPatchers[effectName] = await response.json();
+        }
+        return this.rnboPatchers[effectName];
+    }
+
+    async createRNBOEffectNodes(effectName) {
         const context = this.audioContext;
+        const patcher = await this.loadRNBOPatcher(effectName);
+        const device = await this.rnbo.createDevice({ context, patcher });
+
+        // Wrap the device in gains so it honours the same input/output contract
+        // as the Web Audio effects used by applyEffect
         const nodes = {};
+        nodes.input = context.createGain();
+        nodes.output = context.createGain();
+        nodes.device = device;
 
-        switch (effectName) {
-            case 'pitchshifter':
-                // More dramatic pitch shift with wider delay times and higher feedback
-                nodes.input = context.createGain();
-                nodes.delay1 = context.createDelay(0.2);
-                nodes.delay2 = context.createDelay(0.2);
-                nodes.delay1.delayTime.value = 0.015; // Much higher pitch
-                nodes.delay2.delayTime.value = 0.12; // Much lower pitch
-                nodes.feedback1 = context.createGain();
-                nodes.feedback2 = context.createGain();
-                nodes.feedback1.gain.value = 0.6; // Higher feedback for more obvious effect
-                nodes.feedback2.gain.value = 0.5;
-                nodes.mixer = context.createGain();
-                nodes.output = context.createGain();
-                nodes.output.gain.value = 1.2; // Louder output
-                
-                // Create pitch shifting network
-                nodes.input.connect(nodes.delay1);
-                nodes.input.connect(nodes.delay2);
-                nodes.delay1.connect(nodes.feedback1);
-                nodes.delay2.connect(nodes.feedback2);
-                nodes.feedback1.connect(nodes.delay1);
-                nodes.feedback2.connect(nodes.delay2);
-                nodes.delay1.connect(nodes.mixer);
-                nodes.delay2.connect(nodes.mixer);
-                nodes.mixer.connect(nodes.output);
-                break;
-
-            case 'ringmod':
-                // Ring modulation using oscillator
-                nodes.input = context.createGain();
-                nodes.oscillator = context.createOscillator();
-                nodes.oscillator.frequency.value = 30;
-                nodes.oscillator.type = 'sine';
-                nodes.modGain = context.createGain();
-                nodes.modGain.gain.value = 0;
-                nodes.output = context.createGain();
-                nodes.output.gain.value = 0.5;
-                
-                nodes.oscillator.connect(nodes.modGain.gain);
-                nodes.input.connect(nodes.modGain);
-                nodes.modGain.connect(nodes.output);
-                nodes.oscillator.start();
-                break;
-
-            case 'freezer':
-                // Reverb effect
-                nodes.input = context.createGain();
-                nodes.convolver = context.createConvolver();
-                nodes.output = context.createGain();
-                nodes.output.gain.value = 0.8;
-                this.createReverbImpulse(nodes.convolver);
-                
-                nodes.input.connect(nodes.convolver);
-                nodes.convolver.connect(nodes.output);
-                break;
-
-            case 'vibrato':
-                // Vibrato using delay and LFO
-                nodes.input = context.createGain();
-                nodes.delay = context.createDelay(0.02);
-                nodes.delay.delayTime.value = 0.01;
-                nodes.lfo = context.createOscillator();
-                nodes.lfoGain = context.createGain();
-                nodes.lfo.frequency.value = 5;
-                nodes.lfoGain.gain.value = 0.005;
-                nodes.output = context.createGain();
-                nodes.output.gain.value = 1.0;
-                
-                nodes.input.connect(nodes.delay);
-                nodes.delay.connect(nodes.output);
-                nodes.lfo.connect(nodes.lfoGain);
-                nodes.lfoGain.connect(nodes.delay.delayTime);
-                nodes.lfo.start();
-                break;
-
-            case 'filterdelay':
-                // Filter + delay
-                nodes.input = context.createGain();
-                nodes.filter = context.createBiquadFilter();
-                nodes.filter.type = 'lowpass';
-                nodes.filter.frequency.value = 2000;
-                nodes.delay = context.createDelay(0.3);
-                nodes.delay.delayTime.value = 0.2;
-                nodes.feedback = context.createGain();
-                nodes.feedback.gain.value = 0.3;
-                nodes.output = context.createGain();
-                nodes.output.gain.value = 0.8;
-                
-                nodes.input.connect(nodes.filter);
-                nodes.filter.connect(nodes.delay);
-                nodes.delay.connect(nodes.output);
-                nodes.delay.connect(nodes.feedback);
-                nodes.feedback.connect(nodes.delay);
-                break;
-                
-            case 'octaver':
-                // Octave down effect using frequency division
-                nodes.input = context.createGain();
-                nodes.waveshaper = context.createWaveShaper();
-                nodes.filter = context.createBiquadFilter();
-                nodes.filter.type = 'lowpass';
-                nodes.filter.frequency.value = 1000;
-                nodes.output = context.createGain();
-                nodes.output.gain.value = 0.8;
-                
-                this.createOctaveWaveShape(nodes.waveshaper);
-                
-                nodes.input.connect(nodes.waveshaper);
-                nodes.waveshaper.connect(nodes.filter);
-                nodes.filter.connect(nodes.output);
-                break;
+        nodes.input.connect(device.node);
+        device.node.connect(nodes.output);
+
+        this.applyDefaultRNBOPreset(effectName, device);
+        return nodes;
+    }
+
+    applyDefaultRNBOPreset(effectName, device) {
+        // Exported initial values are all zero (e.g. mix = 0%), so start from the
+        // patch's own "Default" preset to sound like the Max patch
+        const presets = this.rnboPatchers[effectName]?.presets || [];
+        const defaultPreset = presets.find(preset => preset.name === 'Default') || presets[0];
+        if (defaultPreset) {
+            device.setPreset(defaultPreset.preset);
+        }
+    }
+
+    getEffectPresets(effectName) {
+        // Only RNBO exports carry presets; Web Audio fallbacks have none
+        if (!this.isRNBOEffect(effectName)) return [];
+        return (this.rnboPatchers[effectName]?.presets || []).map(preset => preset.name);
+    }
+
+    findEffectPreset(effectName, presetName) {
+        if (!this.isRNBOEffect(effectName)) return null;
+
+        const presets = this.rnboPatchers[effectName]?.presets || [];
+        const preset = presets.find(p => p.name === presetName);
+        if (!preset) {
+            console.warn(`Preset '${presetName}' not found for effect '${effectName}'.`);
+            return null;
         }
+        return preset;
+    }
+
+    applyEffectPreset(effectName, presetName) {
+        const preset = this.findEffectPreset(effectName, presetName);
+        if (!preset) return false;
 
+        // Changes the shared settings, so voices following them get it too
+        this.effects[effectName].nodes.device.setPreset(preset.preset);
+        this.forEachSharedSettingsVoice(effectName, nodes => nodes.device.setPreset(preset.preset));
+        console.log(`✓ Applied preset '${presetName}' to ${effectName}`);
+        return true;
+    }
+
+    async acquireEffectInstance(effectName, presetName = null) {
+        const effect = this.effects[effectName];
+        if (!effect) {
+            throw new Error(`Effect '${effectName}' not loaded`);
+        }
+
+        const pool = this.effectInstancePool[effectName] || [];
+        const nodes = pool.pop() || (effect.type === 'rnbo'
+            ? await this.createRNBOEffectNodes(effectName)
+            : this.createEffectNodes(effectName));
+
+        this.applySharedSettings(effectName, nodes, presetName);
         return nodes;
     }
 
-    createReverbImpulse(convolver) {
-        const length = this.audioContext.sampleRate * 2;
-        const impulse = this.audioContext.createBuffer(2, length, this.audioContext.sampleRate);
-        
-        for (let channel = 0; channel < 2; channel++) {
-            const channelData = impulse.getChannelData(channel);
-            for (let i = 0; i < length; i++) {
-                channelData[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, 2);
-            }
+    // Start from the shared settings, then layer the cell's own preset on top
+    applySharedSettings(effectName, nodes, presetName = null) {
+        this.getEffectParameterDescriptors(effectName).forEach(descriptor => {
+            this.writeEffectParameter(effectName, nodes, descriptor.id, this.getEffectParameter(effectName, descriptor.id));
+        });
+        if (presetName) {
+            const preset = this.findEffectPreset(effectName, presetName);
+            if (preset) nodes.device.setPreset(preset.preset);
         }
-        
-        convolver.buffer = impulse;
     }
 
-    createOctaveWaveShape(waveshaper, type = 'normal') {
-        const samples = 2048;
-        const curve = new Float32Array(samples);
-        
-        for (let i = 0; i < samples; i++) {
-            const x = (i - samples / 2) / (samples / 2);
-            
-            if (type === 'aggressive') {
-                // More aggressive octave down with square wave characteristics
-                curve[i] = x > 0 ? 0.7 : -0.7;
-            } else if (type === 'sub') {
-                // Sub-octave effect with frequency division simulation
-                curve[i] = Math.sign(x) * Math.pow(Math.abs(x), 0.3) * 0.8;
-            } else {
-                // Original wave shaping
-                curve[i] = Math.sign(x) * Math.pow(Math.abs(x), 0.5);
-            }
+    releaseEffectInstance(effectName, nodes) {
+        // Keep the instance around: RNBO devices are slow to build and never stop processing
+        try {
+            nodes.output.disconnect();
+        } catch (e) {
+            // Not connected, which is fine
         }
-        
-        waveshaper.curve = curve;
-        waveshaper.oversample = '4x';
+        if (!this.effectInstancePool[effectName]) {
+            this.effectInstancePool[effectName] = [];
+        }
+        this.effectInstancePool[effectName].push(nodes);
+    }
+
+    // Call after the shared device has changed; the links' modulation bases follow it
+    forEachSharedSettingsVoice(effectName, callback) {
+        this.activeLoopedSources.forEach(voice => {
+            voice.chain.forEach(link => {
+                if (link.effectName === effectName && !link.presetName) {
+                    callback(link.nodes);
+                    link.baseValues = this.readSharedSettings(effectName);
+                }
+            });
+        });
+    }
+
+    readSharedSettings(effectName) {
+        return Object.fromEntries(this.getEffectParameterDescriptors(effectName)
+            .map(descriptor => [descriptor.id, this.getEffectParameter(effectName, descriptor.id)]));
+    }
+
+    normalizeEffectChain(effectChain) {
+        // Accept a single effect name, an array of names, or [{ effectName, presetName }]
+        if (!effectChain) return [];
+        const links = Array.isArray(effectChain) ? effectChain : [effectChain];
+        return links.map(link => typeof link === 'string'
+            ? { effectName: link, presetName: null }
+            : { effectName: link.effectName, presetName: link.presetName || null });
+    }
+
+    createEffectNodes(effectName) {
+        const definition = this.registry.get(effectName);
+        if (!definition) {
+            throw new Error(`Effect '${effectName}' is not registered`);
+        }
+
+        const nodes = definition.create(this.audioContext);
+        if (!nodes || !nodes.input || !nodes.output) {
+            throw new Error(`Effect '${effectName}' factory must return input and output nodes`);
+        }
+        return nodes;
+    }
+
+    getWebAudioParameters(effectName) {
+        return this.registry.get(effectName)?.parameters || [];
     }
 
     applyEffect(effectName, isActive) {
-        const effect = this.webAudioEffects[effectName];
+        const effect = this.effects[effectName];
         if (!effect) {
             console.warn(`Effect '${effectName}' not found.`);
             return false;
@@ -300,101 +341,73 @@ export class AudioEngine {
         }
     }
 
+    getEffectParameterDescriptors(effectName) {
+        const effect = this.effects[effectName];
+        if (!effect) return [];
+
+        if (effect.type === 'rnbo') {
+            return effect.nodes.device.parameters.map(param => ({
+                id: param.id,
+                name: param.displayName || param.name,
+                min: param.min,
+                max: param.max,
+                steps: param.steps,
+                enumValues: param.enumValues || [],
+                unit: param.unit || '',
+                initialValue: param.initialValue
+            }));
+        }
+
+        return this.getWebAudioParameters(effectName).map(({ param, ...descriptor }) => ({
+            steps: 0,
+            enumValues: [],
+            ...descriptor
+        }));
+    }
+
+    readEffectParameter(effectName, nodes, paramId) {
+        if (this.isRNBOEffect(effectName)) {
+            const param = nodes.device.parametersById.get(paramId);
+            return param ? param.value : 0;
+        }
+
+        const descriptor = this.getWebAudioParameters(effectName).find(d => d.id === paramId);
+        return descriptor ? descriptor.param(nodes).value : 0;
+    }
+
+    writeEffectParameter(effectName, nodes, paramId, value) {
+        if (this.isRNBOEffect(effectName)) {
+            const param = nodes.device.parametersById.get(paramId);
+            if (!param) return false;
+            param.value = value;
+            return true;
+        }
+
+        const descriptor = this.getWebAudioParameters(effectName).find(d => d.id === paramId);
+        if (!descriptor) return false;
+        descriptor.param(nodes).value = value;
+        return true;
+    }
+
     getEffectParameter(effectName, paramId) {
-        const effect = this.webAudioEffects[effectName];
+        const effect = this.effects[effectName];
         if (!effect || !effect.nodes) return 0;
 
-        const nodes = effect.nodes;
-        
         try {
-            switch (effectName) {
-                case 'pitchshifter':
-                    if (paramId === 'delay1') return nodes.delay1 ? nodes.delay1.delayTime.value : 0.015;
-                    if (paramId === 'delay2') return nodes.delay2 ? nodes.delay2.delayTime.value : 0.12;
-                    if (paramId === 'feedback1') return nodes.feedback1 ? nodes.feedback1.gain.value : 0.6;
-                    if (paramId === 'feedback2') return nodes.feedback2 ? nodes.feedback2.gain.value : 0.5;
-                    if (paramId === 'output') return nodes.output ? nodes.output.gain.value : 1.2;
-                    break;
-                    
-                case 'ringmod':
-                    if (paramId === 'frequency') return nodes.oscillator ? nodes.oscillator.frequency.value : 30;
-                    if (paramId === 'depth') return nodes.modGain ? nodes.modGain.gain.value : 0;
-                    if (paramId === 'output') return nodes.output ? nodes.output.gain.value : 0.5;
-                    break;
-                    
-                case 'freezer':
-                    if (paramId === 'output') return nodes.output ? nodes.output.gain.value : 0.8;
-                    break;
-                    
-                case 'vibrato':
-                    if (paramId === 'rate') return nodes.lfo ? nodes.lfo.frequency.value : 5;
-                    if (paramId === 'depth') return nodes.lfoGain ? nodes.lfoGain.gain.value : 0.005;
-                    if (paramId === 'output') return nodes.output ? nodes.output.gain.value : 1.0;
-                    break;
-                    
-                case 'filterdelay':
-                    if (paramId === 'frequency') return nodes.filter ? nodes.filter.frequency.value : 2000;
-                    if (paramId === 'delayTime') return nodes.delay ? nodes.delay.delayTime.value : 0.2;
-                    if (paramId === 'feedback') return nodes.feedback ? nodes.feedback.gain.value : 0.3;
-                    if (paramId === 'output') return nodes.output ? nodes.output.gain.value : 0.8;
-                    break;
-                    
-                case 'octaver':
-                    if (paramId === 'frequency') return nodes.filter ? nodes.filter.frequency.value : 1000;
-                    if (paramId === 'output') return nodes.output ? nodes.output.gain.value : 0.8;
-                    break;
-            }
+            return this.readEffectParameter(effectName, effect.nodes, paramId);
         } catch (error) {
             console.warn(`Error getting parameter ${paramId} for effect ${effectName}:`, error);
+            return 0;
         }
-        
-        return 0;
     }
 
     setEffectParameter(effectName, paramId, value) {
-        const effect = this.webAudioEffects[effectName];
+        const effect = this.effects[effectName];
         if (!effect || !effect.nodes) return false;
 
-        const nodes = effect.nodes;
-        
         try {
-            switch (effectName) {
-                case 'pitchshifter':
-                    if (paramId === 'delay1' && nodes.delay1) nodes.delay1.delayTime.value = value;
-                    if (paramId === 'delay2' && nodes.delay2) nodes.delay2.delayTime.value = value;
-                    if (paramId === 'feedback1' && nodes.feedback1) nodes.feedback1.gain.value = value;
-                    if (paramId === 'feedback2' && nodes.feedback2) nodes.feedback2.gain.value = value;
-                    if (paramId === 'output' && nodes.output) nodes.output.gain.value = value;
-                    break;
-                    
-                case 'ringmod':
-                    if (paramId === 'frequency' && nodes.oscillator) nodes.oscillator.frequency.value = value;
-                    if (paramId === 'depth' && nodes.modGain) nodes.modGain.gain.value = value;
-                    if (paramId === 'output' && nodes.output) nodes.output.gain.value = value;
-                    break;
-                    
-                case 'freezer':
-                    if (paramId === 'output' && nodes.output) nodes.output.gain.value = value;
-                    break;
-                    
-                case 'vibrato':
-                    if (paramId === 'rate' && nodes.lfo) nodes.lfo.frequency.value = value;
-                    if (paramId === 'depth' && nodes.lfoGain) nodes.lfoGain.gain.value = value;
-                    if (paramId === 'output' && nodes.output) nodes.output.gain.value = value;
-                    break;
-                    
-                case 'filterdelay':
-                    if (paramId === 'frequency' && nodes.filter) nodes.filter.frequency.value = value;
-                    if (paramId === 'delayTime' && nodes.delay) nodes.delay.delayTime.value = value;
-                    if (paramId === 'feedback' && nodes.feedback) nodes.feedback.gain.value = value;
-                    if (paramId === 'output' && nodes.output) nodes.output.gain.value = value;
-                    break;
-                    
-                case 'octaver':
-                    if (paramId === 'frequency' && nodes.filter) nodes.filter.frequency.value = value;
-                    if (paramId === 'output' && nodes.output) nodes.output.gain.value = value;
-                    break;
-            }
+            if (!this.writeEffectParameter(effectName, effect.nodes, paramId, value)) return false;
+            this.forEachSharedSettingsVoice(effectName, nodes => this.writeEffectParameter(effectName, nodes, paramId, value));
             return true;
         } catch (error) {
             console.warn(`Error setting parameter ${paramId} for effect ${effectName}:`, error);
@@ -402,21 +415,83 @@ export class AudioEngine {
         }
     }
 
+    // Sets a parameter on one playing voice only, for every link of that effect in its chain
+    setVoiceEffectParameter(gridIndex, effectName, paramId, value) {
+        const voice = this.activeLoopedSources.get(gridIndex);
+        if (!voice) return false;
+
+        let updated = false;
+        voice.chain.forEach(link => {
+            if (link.effectName !== effectName) return;
+            try {
+                updated = this.writeEffectParameter(effectName, link.nodes, paramId, value) || updated;
+            } catch (error) {
+                console.warn(`Error setting parameter ${paramId} for effect ${effectName} on grid ${gridIndex}:`, error);
+            }
+        });
+        return updated;
+    }
+
+    // Voice gains glide briefly so continuous control doesn't zipper
+    setVoiceVolume(gridIndex, volume) {
+        const voice = this.activeLoopedSources.get(gridIndex);
+        if (!voice) return false;
+        voice.mainGain.gain.setTargetAtTime(volume, this.audioContext.currentTime, 0.02);
+        return true;
+    }
+
+    // 0 is all dry, 1 all wet; voices playing without a chain stay dry
+    setVoiceWetMix(gridIndex, wet) {
+        const voice = this.activeLoopedSources.get(gridIndex);
+        if (!voice || voice.chain.length === 0) return false;
+        const now = this.audioContext.currentTime;
+        voice.dryGain.gain.setTargetAtTime(1 - wet, now, 0.02);
+        voice.wetGain.gain.setTargetAtTime(wet, now, 0.02);
+        return true;
+    }
+
+    // The volume and wet mix a voice started with, before any modulation
+    getVoiceLevels(gridIndex) {
+        const voice = this.activeLoopedSources.get(gridIndex);
+        return voice ? { volume: voice.volume, wetMix: voice.wetMix } : null;
+    }
+
+    // The value a voice's effect parameter started at: the shared settings with the cell's preset on top
+    getVoiceEffectBase(gridIndex, effectName, paramId) {
+        const voice = this.activeLoopedSources.get(gridIndex);
+        const link = voice?.chain.find(link => link.effectName === effectName);
+        return link?.baseValues[paramId] ?? null;
+    }
+
     isEffectActive(effectName) {
-        const effect = this.webAudioEffects[effectName];
-        return effect ? effect.active : false;
+        const effect = this.effects[effectName];
+        if (!effect) return false;
+        return effect.active || Array.from(this.activeLoopedSources.values())
+            .some(voice => voice.chain.some(link => link.effectName === effectName));
+    }
+
+    isRNBOEffect(effectName) {
+        const effect = this.effects[effectName];
+        return effect ? effect.type === 'rnbo' : false;
     }
 
     resetAllEffectParameters() {
         // Reset all effects to their default values
-        Object.keys(this.webAudioEffects).forEach(effectName => {
-            this.webAudioEffects[effectName].nodes = this.createEffectNodes(effectName);
+        Object.entries(this.effects).forEach(([effectName, effect]) => {
+            if (effect.type === 'rnbo') {
+                this.applyDefaultRNBOPreset(effectName, effect.nodes.device);
+                this.forEachSharedSettingsVoice(effectName, nodes => this.applyDefaultRNBOPreset(effectName, nodes.device));
+            } else {
+                this.getEffectParameterDescriptors(effectName).forEach(descriptor => {
+                    this.setEffectParameter(effectName, descriptor.id, descriptor.initialValue);
+                });
+            }
         });
         console.log('All effect parameters reset to defaults');
     }
 
     async testEffect(effectName) {
-        const effect = this.webAudioEffects[effectName];
+        const effect = this.effects[effectName];
         if (!effect) {
             console.error(`Effect '${effectName}' not found for testing.`);
             return false;
@@ -470,11 +545,16 @@ export class AudioEngine {
     getEffectStatus() {
         const status = {};
         
-        Object.entries(this.webAudioEffects).forEach(([name, effect]) => {
+        Object.entries(this.effects).forEach(([name, effect]) => {
             status[name] = {
-                active: effect.active,
-                hasDevice: true,
-                parameters: []
+                active: this.isEffectActive(name),
+                hasDevice: effect.type === 'rnbo',
+                parameters: this.getEffectParameterDescriptors(name).map(descriptor => ({
+                    id: descriptor.id,
+                    type: 'ParameterTypeNumber',
+                    isSignal: false,
+                    value: this.getEffectParameter(name, descriptor.id)
+                }))
             };
         });
         
@@ -640,11 +720,18 @@ export class AudioEngine {
         }
     }
 
-    async startLoopedSampleWithEffect(gridIndex, audioBlob, effectName, volume = 1.0) {
+    async startLoopedSampleWithEffect(gridIndex, audioBlob, effectChain, volume = 1.0) {
         if (this.activeLoopedSources.has(gridIndex)) {
             this.stopLoopedSampleWithEffect(gridIndex);
         }
 
+        // Stopping the cell while this start is still awaiting cancels it, so a quick
+        // release can't leave a voice looping with nothing left to stop it
+        const start = {};
+        this.pendingLoopStarts.set(gridIndex, start);
+        const cancelled = () => this.pendingLoopStarts.get(gridIndex) !== start;
+        const chain = [];
+
         try {
             if (this.audioContext.state === 'suspended') {
                 await this.audioContext.resume();
@@ -654,9 +741,33 @@ export class AudioEngine {
 
             const arrayBuffer = await audioBlob.arrayBuffer();
             const audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
+            if (cancelled()) {
+                console.log(`Start for grid ${gridIndex} cancelled while decoding`);
+                return false;
+            }
 
             console.log(`Audio buffer decoded: duration=${audioBuffer.duration}s, sampleRate=${audioBuffer.sampleRate}, channels=${audioBuffer.numberOfChannels}`);
 
+            // Give this voice its own effect instances so it never hears another cell's effects;
+            // links that fail to build are skipped rather than silencing the whole chain
+            for (const link of this.normalizeEffectChain(effectChain)) {
+                try {
+                    const nodes = await this.acquireEffectInstance(link.effectName, link.presetName);
+                    // The values this voice starts from, which modulation works relative to
+                    const baseValues = Object.fromEntries(this.getEffectParameterDescriptors(link.effectName)
+                        .map(descriptor => [descriptor.id, this.readEffectParameter(link.effectName, nodes, descriptor.id)]));
+                    chain.push({ ...link, nodes, baseValues });
+                } catch (error) {
+                    console.warn(`Failed to create effect ${link.effectName}, skipping it in the chain:`, error);
+                }
+                if (cancelled()) {
+                    chain.forEach(acquired => this.releaseEffectInstance(acquired.effectName, acquired.nodes));
+                    console.log(`Start for grid ${gridIndex} cancelled while building its effects`);
+                    return false;
+                }
+            }
+            this.pendingLoopStarts.delete(gridIndex);
+
             const source = this.audioContext.createBufferSource();
             source.buffer = audioBuffer;
             source.loop = true;
@@ -678,8 +789,8 @@ export class AudioEngine {
             // Dry signal goes directly to output
             dryGain.connect(this.masterGain);
             
-            // If effectName is null (effects disabled), route all signal through dry path
-            if (effectName === null) {
+            // If there is no chain (effects disabled), route all signal through dry path
+            if (chain.length === 0) {
                 dryGain.gain.value = 1.0;
                 wetGain.gain.value = 0.0;
                 console.log(`✓ Playing sample dry (no effects) for grid ${gridIndex}`);
@@ -687,17 +798,14 @@ export class AudioEngine {
                 dryGain.gain.value = 0.3;
                 wetGain.gain.value = 0.7;
                 
-                // Connect wet signal through effects
+                // Wet signal runs through the links in order
                 mainGain.connect(wetGain);
-                wetGain.connect(this.effectsInput);
-
-                // Activate the effect before starting playback
-                const effectActivated = this.applyEffect(effectName, true);
-                if (!effectActivated) {
-                    console.warn(`Failed to activate effect ${effectName}, playing dry signal only`);
-                    dryGain.gain.value = 1.0;
-                    wetGain.gain.value = 0.0;
-                }
+                let previous = wetGain;
+                chain.forEach(link => {
+                    previous.connect(link.nodes.input);
+                    previous = link.nodes.output;
+                });
+                previous.connect(this.effectsOutput);
             }
             
             // Add event listeners for debugging
@@ -708,22 +816,23 @@ export class AudioEngine {
             source.start(0);
             console.log(`✓ Source started for grid ${gridIndex}, should be looping indefinitely`);
 
-            this.activeLoopedSources.set(gridIndex, { source, effectName, dryGain, wetGain });
-            console.log(`✓ Started looped sample for grid ${gridIndex} with ${effectName ? 'effect ' + effectName : 'no effects'}`);
+            this.activeLoopedSources.set(gridIndex, { source, chain, mainGain, dryGain, wetGain, volume, wetMix: wetGain.gain.value });
+            const chainNames = chain.map(link => link.effectName).join(' → ');
+            console.log(`✓ Started looped sample for grid ${gridIndex} with ${chainNames ? 'effects ' + chainNames : 'no effects'}`);
             return true;
 
         } catch (error) {
+            if (!cancelled()) this.pendingLoopStarts.delete(gridIndex);
+            chain.forEach(link => this.releaseEffectInstance(link.effectName, link.nodes));
             console.error(`Error starting looped sample for grid ${gridIndex}:`, error);
-            if (effectName) {
-                this.applyEffect(effectName, false);
-            }
             return false;
         }
     }
 
     stopLoopedSampleWithEffect(gridIndex) {
+        this.pendingLoopStarts.delete(gridIndex);
         if (this.activeLoopedSources.has(gridIndex)) {
-            const { source, effectName, dryGain, wetGain } = this.activeLoopedSources.get(gridIndex);
+            const { source, chain, dryGain, wetGain } = this.activeLoopedSources.get(gridIndex);
             
             console.log(`Stopping looped sample for grid ${gridIndex}`);
             
@@ -741,16 +850,8 @@ export class AudioEngine {
                 console.warn(`Error stopping source for grid ${gridIndex}:`, e);
             }
 
-            // Only deactivate effect if no other sources are using it
-            const othersUsingEffect = Array.from(this.activeLoopedSources.values())
-                .filter(active => active.effectName === effectName).length;
-            
-            if (othersUsingEffect <= 1) { // <= 1 because we're about to delete this one
-                this.applyEffect(effectName, false);
-                console.log(`Deactivated effect ${effectName} (no other sources using it)`);
-            } else {
-                console.log(`Keeping effect ${effectName} active (${othersUsingEffect - 1} other sources using it)`);
-            }
+            // The voice owns its effect instances, so no other cell is affected
+            chain.forEach(link => this.releaseEffectInstance(link.effectName, link.nodes));
             
             this.activeLoopedSources.delete(gridIndex);
             console.log(`✓ Stopped looped sample for grid ${gridIndex}`);
@@ -807,21 +908,26 @@ export class AudioEngine {
         });
     }
 
+    // Sized to the connected mat's sensor grid (see SerialParser's handshake)
+    setMatrixSize(rows, columns) {
+        this.gridState = Array.from({ length: rows }, () => Array(columns).fill(false));
+    }
+
     handleMatrixInput(matrix) {
         const threshold = 50;
 
-        for (let row = 0; row < 10; row++) {
-            for (let col = 0; col < 10; col++) {
+        for (let row = 0; row < this.gridState.length; row++) {
+            for (let col = 0; col < this.gridState[row].length; col++) {
                 const pressure = matrix[row][col];
                 const isPressed = pressure > threshold;
                 const wasPressed = this.gridState[row][col];
 
-                const index = row * 10 + col;
+                const index = row * this.gridState[row].length + col;
                 const cellEl = document.querySelector(`.grid-cell[data-index='${index}']`);
                 const effectName = cellEl?.querySelector('.cell-title')?.textContent?.toLowerCase().replace(/ /g, '');
 
                 if (isPressed && !wasPressed) {
-                    if (effectName && this.webAudioEffects[effectName]) {
+                    if (effectName && this.effects[effectName]) {
                         this.applyEffect(effectName, true);
                         console.log(`Activated effect: ${effectName}`);
                     }
@@ -843,8 +949,8 @@ export class AudioEngine {
                 this.effectNodes[key].disconnect();
             } catch (e) {}
         }
-        // Also deactivate all RNBO effects
-        Object.keys(this.rnboEffects).forEach(effectName => {
+        // Also deactivate all loaded effects
+        Object.keys(this.effects).forEach(effectName => {
             this.applyEffect(effectName, false);
         });
 
@@ -0,0 +1,133 @@
+/**
+ * Blob tracker: finds connected pressure regions in each frame and follows
+ * them across frames as touches with stable ids.
+ *
+ * Dispatches 'touch-start', 'touch-move' and 'touch-end' events whose
+ * `detail` is the touch: { id, x, y, area, peak, peakCell, total, cells, startTime, lastTime }.
+ * x/y are the pressure-weighted centroid in sensor units.
+ */
+
+export class BlobTracker extends EventTarget {
+    constructor({ columns = 10, threshold = 25, minArea = 1, maxMatchDistance = 3, releaseFrames = 2 } = {}) {
+        super();
+        this.columns = columns;
+        this.threshold = threshold;
+        this.minArea = minArea;
+        this.maxMatchDistance = maxMatchDistance; // Sensors a centroid may travel between frames
+        this.releaseFrames = releaseFrames; // Missed frames tolerated before a touch ends
+
+        this.touches = new Map(); // id -> touch
+        this.nextTouchId = 1;
+    }
+
+    reset() {
+        this.touches.clear();
+    }
+
+    findBlobs(pressureMatrix) {
+        const columns = this.columns;
+        const rows = Math.ceil(pressureMatrix.length / columns);
+        const visited = new Uint8Array(pressureMatrix.length);
+        const blobs = [];
+
+        for (let start = 0; start < pressureMatrix.length; start++) {
+            if (visited[start] || pressureMatrix[start] <= this.threshold) continue;
+
+            // Flood fill over 4-connected neighbours above threshold
+            const blob = { cells: [], area: 0, peak: 0, peakCell: start, total: 0, x: 0, y: 0 };
+            const stack = [start];
+            visited[start] = 1;
+
+            while (stack.length > 0) {
+                const cell = stack.pop();
+                const pressure = pressureMatrix[cell];
+                const x = cell % columns;
+                const y = Math.floor(cell / columns);
+
+                blob.cells.push(cell);
+                blob.total += pressure;
+                blob.x += x * pressure;
+                blob.y += y * pressure;
+                if (pressure > blob.peak) {
+                    blob.peak = pressure;
+                    blob.peakCell = cell;
+                }
+
+                const neighbours = [
+                    x > 0 ? cell - 1 : -1,
+                    x < columns - 1 ? cell + 1 : -1,
+                    y > 0 ? cell - columns : -1,
+                    y < rows - 1 ? cell + columns : -1
+                ];
+                neighbours.forEach(neighbour => {
+                    if (neighbour >= 0 && neighbour < pressureMatrix.length && !visited[neighbour] && pressureMatrix[neighbour] > this.threshold) {
+                        visited[neighbour] = 1;
+                        stack.push(neighbour);
+                    }
+                });
+            }
+
+            blob.area = blob.cells.length;
+            blob.x /= blob.total;
+            blob.y /= blob.total;
+            if (blob.area >= this.minArea) {
+                blobs.push(blob);
+            }
+        }
+
+        return blobs;
+    }
+
+    update(pressureMatrix, timestamp = performance.now()) {
+        const blobs = this.findBlobs(pressureMatrix);
+        const previous = Array.from(this.touches.values());
+
+        // Greedy nearest-first matching of last frame's touches to this frame's blobs
+        const pairs = [];
+        previous.forEach(touch => {
+            blobs.forEach((blob, blobIndex) => {
+                const distance = Math.hypot(touch.x - blob.x, touch.y - blob.y);
+                if (distance <= this.maxMatchDistance) {
+                    pairs.push({ touch, blobIndex, distance });
+                }
+            });
+        });
+        pairs.sort((a, b) => a.distance - b.distance);
+
+        const matchedTouches = new Set();
+        const matchedBlobs = new Set();
+        const moved = [];
+        pairs.forEach(({ touch, blobIndex }) => {
+            if (matchedTouches.has(touch.id) || matchedBlobs.has(blobIndex)) return;
+            matchedTouches.add(touch.id);
+            matchedBlobs.add(blobIndex);
+            Object.assign(touch, blobs[blobIndex], { lastTime: timestamp, missedFrames: 0 });
+            moved.push(touch);
+        });
+
+        const ended = [];
+        previous.forEach(touch => {
+            if (matchedTouches.has(touch.id)) return;
+            touch.missedFrames++;
+            if (touch.missedFrames > this.releaseFrames) {
+                this.touches.delete(touch.id);
+                ended.push(touch);
+            }
+        });
+
+        const started = [];
+        blobs.forEach((blob, blobIndex) => {
+            if (matchedBlobs.has(blobIndex)) return;
+            const touch = { ...blob, id: this.nextTouchId++, startTime: timestamp, lastTime: timestamp, missedFrames: 0 };
+            this.touches.set(touch.id, touch);
+            started.push(touch);
+        });
+
+        // Ends go first so a zone can be released and re-pressed within one frame
+        ended.forEach(touch => this.dispatchEvent(new CustomEvent('touch-end', { detail: touch })));
+        started.forEach(touch => this.dispatchEvent(new CustomEvent('touch-start', { detail: touch })));
+        moved.forEach(touch => this.dispatchEvent(new CustomEvent('touch-move', { detail: touch })));
+
+        return { started, moved, ended };
+    }
+}
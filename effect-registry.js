@@ -0,0 +1,48 @@
+/**
+ * Registry of effect definitions. The audio engine builds effects from it and
+ * the toolbar, grid labels and control panel are generated from it.
+ */
+
+import { builtInEffects } from './effects/index.js';
+
+export class EffectRegistry {
+    constructor() {
+        this.definitions = new Map(); // id -> definition
+    }
+
+    register(definition) {
+        if (!definition || !definition.id) {
+            throw new Error('Effect definition needs an id');
+        }
+        if (typeof definition.create !== 'function') {
+            throw new Error(`Effect '${definition.id}' needs a create(context) factory`);
+        }
+        if (this.definitions.has(definition.id)) {
+            console.warn(`Effect '${definition.id}' is already registered, replacing it.`);
+        }
+
+        this.definitions.set(definition.id, {
+            name: definition.id,
+            icon: '',
+            patcher: null,
+            worklets: [],
+            parameters: [],
+            ...definition
+        });
+    }
+
+    get(id) {
+        return this.definitions.get(id) || null;
+    }
+
+    has(id) {
+        return this.definitions.has(id);
+    }
+
+    getAll() {
+        return Array.from(this.definitions.values());
+    }
+}
+
+export const effectRegistry = new EffectRegistry();
+builtInEffects.forEach(definition => effectRegistry.register(definition));
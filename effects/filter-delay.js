@@ -0,0 +1,39 @@
+/**
+ * Filter Delay - Web Audio fallback for rnbo.filterdelay.json.
+ */
+
+export const filterDelay = {
+    id: 'filterdelay',
+    name: 'Filter Delay',
+    icon: '📻',
+    patcher: 'rnbo.filterdelay.json',
+
+    parameters: [
+        { id: 'frequency', name: 'Filter Frequency', min: 100, max: 10000, step: 100, unit: 'Hz', initialValue: 2000, param: nodes => nodes.filter.frequency },
+        { id: 'delayTime', name: 'Delay Time', min: 0.01, max: 1, step: 0.01, unit: 's', initialValue: 0.2, param: nodes => nodes.delay.delayTime },
+        { id: 'feedback', name: 'Feedback', min: 0, max: 0.8, step: 0.01, unit: '', initialValue: 0.3, param: nodes => nodes.feedback.gain },
+        { id: 'output', name: 'Output Level', min: 0, max: 2, step: 0.1, unit: '', initialValue: 0.8, param: nodes => nodes.output.gain }
+    ],
+
+    create(context) {
+        // Filter + delay
+        const nodes = {};
+        nodes.input = context.createGain();
+        nodes.filter = context.createBiquadFilter();
+        nodes.filter.type = 'lowpass';
+        nodes.filter.frequency.value = 2000;
+        nodes.delay = context.createDelay(0.3);
+        nodes.delay.delayTime.value = 0.2;
+        nodes.feedback = context.createGain();
+        nodes.feedback.gain.value = 0.3;
+        nodes.output = context.createGain();
+        nodes.output.gain.value = 0.8;
+        
+        nodes.input.connect(nodes.filter);
+        nodes.filter.connect(nodes.delay);
+        nodes.delay.connect(nodes.output);
+        nodes.delay.connect(nodes.feedback);
+        nodes.feedback.connect(nodes.delay);
+        return nodes;
+    }
+};
@@ -0,0 +1,46 @@
+/**
+ * Freezer - Web Audio fallback for rnbo.freezer.json.
+ *
+ * Captures the input spectrum when `freeze` switches on and sustains it
+ * until it switches off, using the same parameter ids as the RNBO device.
+ */
+
+const toggle = { min: 0, max: 1, step: 1, steps: 2, enumValues: ['0', '1'], unit: 'On/Off' };
+
+export const freezer = {
+    id: 'freezer',
+    name: 'Freezer',
+    icon: '❄️',
+    patcher: 'rnbo.freezer.json',
+    worklets: [new URL('./worklets/spectral-freeze-processor.js', import.meta.url).href],
+
+    parameters: [
+        { id: 'freeze', name: 'Freeze', ...toggle, initialValue: 0, param: nodes => nodes.freezer.parameters.get('freeze') },
+        { id: 'transp', name: 'Transp', min: -24, max: 24, step: 1, unit: 'st', initialValue: 0, param: nodes => nodes.freezer.parameters.get('transp') },
+        { id: 'lowcut', name: 'Lowcut', min: 0, max: 100, step: 1, unit: '%', initialValue: 0, param: nodes => nodes.freezer.parameters.get('lowcut') },
+        { id: 'highcut', name: 'Highcut', min: 0, max: 100, step: 1, unit: '%', initialValue: 0, param: nodes => nodes.freezer.parameters.get('highcut') },
+        { id: 'fade', name: 'Fade', min: 0, max: 100, step: 1, unit: '%', initialValue: 25, param: nodes => nodes.freezer.parameters.get('fade') },
+        { id: 'pitchjit', name: 'Pitch Jitter', min: 0, max: 100, step: 1, unit: '%', initialValue: 25, param: nodes => nodes.freezer.parameters.get('pitchjit') },
+        { id: 'ampjit', name: 'Amp Jitter', min: 0, max: 100, step: 1, unit: '%', initialValue: 25, param: nodes => nodes.freezer.parameters.get('ampjit') },
+        { id: 'panjit', name: 'Pan Jitter', min: 0, max: 100, step: 1, unit: '%', initialValue: 25, param: nodes => nodes.freezer.parameters.get('panjit') },
+        { id: 'volume', name: 'Volume', min: -100, max: 100, step: 1, unit: '%', initialValue: -25, param: nodes => nodes.freezer.parameters.get('volume') },
+        { id: 'direct', name: 'Direct', ...toggle, initialValue: 1, param: nodes => nodes.freezer.parameters.get('direct') }
+    ],
+
+    create(context) {
+        const nodes = {};
+        nodes.input = context.createGain();
+        nodes.freezer = new AudioWorkletNode(context, 'spectral-freeze-processor', {
+            numberOfInputs: 1,
+            numberOfOutputs: 1,
+            outputChannelCount: [2],
+            channelCount: 2,
+            channelCountMode: 'explicit' // Upmix mono sources so pan jitter has two sides
+        });
+        nodes.output = context.createGain();
+
+        nodes.input.connect(nodes.freezer);
+        nodes.freezer.connect(nodes.output);
+        return nodes;
+    }
+};
@@ -0,0 +1,30 @@
+/**
+ * Built-in effects, registered in toolbar order.
+ *
+ * To add an effect, create a module in this folder exporting a definition and
+ * list it below:
+ *
+ *   {
+ *       id: 'myeffect',              // stored on grid cells and in saved settings
+ *       name: 'My Effect',           // toolbar, grid and control panel label
+ *       icon: '✨',
+ *       patcher: 'rnbo.myeffect.json', // optional RNBO export, preferred when it loads
+ *       worklets: [url],             // optional AudioWorklet modules the fallback needs
+ *       parameters: [                // Web Audio parameter descriptors
+ *           { id, name, min, max, step, unit, initialValue, param: nodes => AudioParam }
+ *       ],
+ *       create(context) { return { input, output, ...otherNodes }; }
+ *   }
+ *
+ * Parameters may also use steps/enumValues (as in RNBO's desc.parameters) to
+ * render as toggles or selects.
+ */
+
+import { pitchShifter } from './pitch-shifter.js';
+import { ringMod } from './ring-mod.js';
+import { freezer } from './freezer.js';
+import { vibrato } from './vibrato.js';
+import { filterDelay } from './filter-delay.js';
+import { octaver } from './octaver.js';
+
+export const builtInEffects = [pitchShifter, ringMod, freezer, vibrato, filterDelay, octaver];
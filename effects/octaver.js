@@ -0,0 +1,48 @@
+/**
+ * Octaver - Web Audio fallback for rnbo.octaver.json.
+ *
+ * Divides the input frequency with a zero-crossing flip-flop worklet, using the
+ * RNBO device's parameter ids plus a fallback-only `variant` choice.
+ */
+
+const percent = { min: 0, max: 100, step: 1, unit: '%' };
+
+export const octaver = {
+    id: 'octaver',
+    name: 'Octaver',
+    icon: '🎚️',
+    patcher: 'rnbo.octaver.json',
+    worklets: [new URL('./worklets/octaver-processor.js', import.meta.url).href],
+
+    parameters: [
+        { id: 'octave1', name: 'Octave1', ...percent, initialValue: 100, param: nodes => nodes.octaver.parameters.get('octave1') },
+        { id: 'octave2', name: 'Octave2', ...percent, initialValue: 0, param: nodes => nodes.octaver.parameters.get('octave2') },
+        { id: 'rectified', name: 'Rectified', ...percent, initialValue: 0, param: nodes => nodes.octaver.parameters.get('rectified') },
+        { id: 'AM', name: 'AM', ...percent, initialValue: 0, param: nodes => nodes.octaver.parameters.get('AM') },
+        { id: 'drive', name: 'Drive', ...percent, initialValue: 25, param: nodes => nodes.octaver.parameters.get('drive') },
+        { id: 'tone', name: 'Tone', ...percent, initialValue: 50, param: nodes => nodes.octaver.parameters.get('tone') },
+        { id: 'mix', name: 'Mix', ...percent, initialValue: 50, param: nodes => nodes.octaver.parameters.get('mix') },
+        {
+            id: 'variant', name: 'Variant', min: 0, max: 2, step: 1, steps: 3, unit: '',
+            enumValues: ['normal', 'aggressive', 'sub'], initialValue: 0,
+            param: nodes => nodes.octaver.parameters.get('variant')
+        }
+    ],
+
+    create(context) {
+        const nodes = {};
+        nodes.input = context.createGain();
+        nodes.octaver = new AudioWorkletNode(context, 'octaver-processor', {
+            numberOfInputs: 1,
+            numberOfOutputs: 1,
+            outputChannelCount: [2],
+            channelCount: 2,
+            channelCountMode: 'explicit'
+        });
+        nodes.output = context.createGain();
+
+        nodes.input.connect(nodes.octaver);
+        nodes.octaver.connect(nodes.output);
+        return nodes;
+    }
+};
@@ -0,0 +1,38 @@
+/**
+ * Pitch Shifter - Web Audio fallback for rnbo.pitchshifter.json.
+ *
+ * Runs a granular AudioWorklet so it really transposes, using the same
+ * parameter ids as the RNBO device.
+ */
+
+export const pitchShifter = {
+    id: 'pitchshifter',
+    name: 'Pitch Shifter',
+    icon: '🎵',
+    patcher: 'rnbo.pitchshifter.json',
+    worklets: [new URL('./worklets/pitch-shifter-processor.js', import.meta.url).href],
+
+    parameters: [
+        { id: 'transp', name: 'Transp', min: -24, max: 24, step: 0.1, unit: 'st', initialValue: 0, param: nodes => nodes.shifter.parameters.get('transp') },
+        { id: 'mix', name: 'Mix', min: 0, max: 100, step: 1, unit: '%', initialValue: 100, param: nodes => nodes.shifter.parameters.get('mix') },
+        { id: 'spread', name: 'Spread', min: -100, max: 100, step: 1, unit: 'ct', initialValue: 0, param: nodes => nodes.shifter.parameters.get('spread') },
+        { id: 'window', name: 'Window', min: 2, max: 200, step: 1, unit: 'ms', initialValue: 80, param: nodes => nodes.shifter.parameters.get('window') }
+    ],
+
+    create(context) {
+        const nodes = {};
+        nodes.input = context.createGain();
+        nodes.shifter = new AudioWorkletNode(context, 'pitch-shifter-processor', {
+            numberOfInputs: 1,
+            numberOfOutputs: 1,
+            outputChannelCount: [2],
+            channelCount: 2,
+            channelCountMode: 'explicit' // Upmix mono sources so spread can detune each side
+        });
+        nodes.output = context.createGain();
+
+        nodes.input.connect(nodes.shifter);
+        nodes.shifter.connect(nodes.output);
+        return nodes;
+    }
+};
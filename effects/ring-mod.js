@@ -0,0 +1,35 @@
+/**
+ * Ring Mod - Web Audio fallback for rnbo.ringmod.json.
+ */
+
+export const ringMod = {
+    id: 'ringmod',
+    name: 'Ring Mod',
+    icon: '💍',
+    patcher: 'rnbo.ringmod.json',
+
+    parameters: [
+        { id: 'frequency', name: 'Modulator Frequency', min: 1, max: 500, step: 1, unit: 'Hz', initialValue: 30, param: nodes => nodes.oscillator.frequency },
+        { id: 'depth', name: 'Modulation Depth', min: 0, max: 1, step: 0.01, unit: '', initialValue: 0, param: nodes => nodes.modGain.gain },
+        { id: 'output', name: 'Output Level', min: 0, max: 2, step: 0.1, unit: '', initialValue: 0.5, param: nodes => nodes.output.gain }
+    ],
+
+    create(context) {
+        // Ring modulation using oscillator
+        const nodes = {};
+        nodes.input = context.createGain();
+        nodes.oscillator = context.createOscillator();
+        nodes.oscillator.frequency.value = 30;
+        nodes.oscillator.type = 'sine';
+        nodes.modGain = context.createGain();
+        nodes.modGain.gain.value = 0;
+        nodes.output = context.createGain();
+        nodes.output.gain.value = 0.5;
+        
+        nodes.oscillator.connect(nodes.modGain.gain);
+        nodes.input.connect(nodes.modGain);
+        nodes.modGain.connect(nodes.output);
+        nodes.oscillator.start();
+        return nodes;
+    }
+};
@@ -0,0 +1,37 @@
+/**
+ * Vibrato - Web Audio fallback for rnbo.vibrato.json.
+ */
+
+export const vibrato = {
+    id: 'vibrato',
+    name: 'Vibrato',
+    icon: '〰️',
+    patcher: 'rnbo.vibrato.json',
+
+    parameters: [
+        { id: 'rate', name: 'Vibrato Rate', min: 0.1, max: 20, step: 0.1, unit: 'Hz', initialValue: 5, param: nodes => nodes.lfo.frequency },
+        { id: 'depth', name: 'Vibrato Depth', min: 0, max: 0.02, step: 0.001, unit: 's', initialValue: 0.005, param: nodes => nodes.lfoGain.gain },
+        { id: 'output', name: 'Output Level', min: 0, max: 2, step: 0.1, unit: '', initialValue: 1.0, param: nodes => nodes.output.gain }
+    ],
+
+    create(context) {
+        // Vibrato using delay and LFO
+        const nodes = {};
+        nodes.input = context.createGain();
+        nodes.delay = context.createDelay(0.02);
+        nodes.delay.delayTime.value = 0.01;
+        nodes.lfo = context.createOscillator();
+        nodes.lfoGain = context.createGain();
+        nodes.lfo.frequency.value = 5;
+        nodes.lfoGain.gain.value = 0.005;
+        nodes.output = context.createGain();
+        nodes.output.gain.value = 1.0;
+        
+        nodes.input.connect(nodes.delay);
+        nodes.delay.connect(nodes.output);
+        nodes.lfo.connect(nodes.lfoGain);
+        nodes.lfoGain.connect(nodes.delay.delayTime);
+        nodes.lfo.start();
+        return nodes;
+    }
+};
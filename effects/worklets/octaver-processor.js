@@ -0,0 +1,131 @@
+/**
+ * Octave divider.
+ *
+ * A Schmitt trigger on the low-passed input drives two flip-flops, giving
+ * square waves one and two octaves below the played note. `variant` picks how
+ * those are voiced: 0 'normal' multiplies them with the input like an analog
+ * octave pedal, 1 'aggressive' uses the bare squares, 2 'sub' smooths them
+ * towards sines. Other parameters mirror rnbo.octaver.json.
+ */
+
+const VARIANT_NORMAL = 0;
+const VARIANT_AGGRESSIVE = 1;
+
+class OctaverProcessor extends AudioWorkletProcessor {
+    static get parameterDescriptors() {
+        return [
+            { name: 'octave1', defaultValue: 100, minValue: 0, maxValue: 100, automationRate: 'k-rate' },
+            { name: 'octave2', defaultValue: 0, minValue: 0, maxValue: 100, automationRate: 'k-rate' },
+            { name: 'rectified', defaultValue: 0, minValue: 0, maxValue: 100, automationRate: 'k-rate' },
+            { name: 'AM', defaultValue: 0, minValue: 0, maxValue: 100, automationRate: 'k-rate' },
+            { name: 'drive', defaultValue: 25, minValue: 0, maxValue: 100, automationRate: 'k-rate' },
+            { name: 'tone', defaultValue: 50, minValue: 0, maxValue: 100, automationRate: 'k-rate' },
+            { name: 'mix', defaultValue: 50, minValue: 0, maxValue: 100, automationRate: 'k-rate' },
+            { name: 'variant', defaultValue: 0, minValue: 0, maxValue: 2, automationRate: 'k-rate' }
+        ];
+    }
+
+    constructor() {
+        super();
+
+        // Two one-pole stages around 800 Hz keep harmonics from re-triggering the divider
+        this.trackingCoefficient = 1 - Math.exp(-2 * Math.PI * 800 / sampleRate);
+        this.trackingStage1 = 0;
+        this.trackingStage2 = 0;
+
+        this.envelope = 0;
+        this.envelopeRelease = Math.exp(-1 / (0.03 * sampleRate));
+
+        this.triggerHigh = false;
+        this.divideBy2 = 1;
+        this.divideBy4 = 1;
+
+        // Smoothing for the 'sub' variant, well below the divided fundamentals' harmonics
+        this.subCoefficient = 1 - Math.exp(-2 * Math.PI * 120 / sampleRate);
+        this.smooth2 = 0;
+        this.smooth4 = 0;
+
+        this.toneState = 0;
+    }
+
+    process(inputs, outputs, parameters) {
+        const input = inputs[0];
+        const output = outputs[0];
+        const frames = output[0].length;
+
+        const octave1 = parameters.octave1[0] / 100;
+        const octave2 = parameters.octave2[0] / 100;
+        const rectified = parameters.rectified[0] / 100;
+        const am = parameters.AM[0] / 100;
+        const drive = 1 + parameters.drive[0] / 100 * 19;
+        const driveNormalize = 1 / Math.tanh(drive);
+        const toneHz = 200 * Math.pow(50, parameters.tone[0] / 100); // 200 Hz .. 10 kHz
+        const toneCoefficient = 1 - Math.exp(-2 * Math.PI * Math.min(toneHz, sampleRate * 0.45) / sampleRate);
+        const mix = parameters.mix[0] / 100;
+        const variant = Math.round(parameters.variant[0]);
+
+        for (let n = 0; n < frames; n++) {
+            const left = input[0] ? input[0][n] : 0;
+            const right = input[1] ? input[1][n] : left;
+            const mono = (left + right) / 2;
+
+            this.trackingStage1 += (mono - this.trackingStage1) * this.trackingCoefficient;
+            this.trackingStage2 += (this.trackingStage1 - this.trackingStage2) * this.trackingCoefficient;
+            const tracked = this.trackingStage2;
+
+            const level = Math.abs(tracked);
+            this.envelope = level > this.envelope ? level : this.envelope * this.envelopeRelease;
+
+            // Hysteresis relative to the envelope so decaying notes keep tracking
+            const hysteresis = Math.max(this.envelope * 0.1, 1e-4);
+            if (!this.triggerHigh && tracked > hysteresis) {
+                this.triggerHigh = true;
+                this.divideBy2 = -this.divideBy2;
+                if (this.divideBy2 > 0) {
+                    this.divideBy4 = -this.divideBy4;
+                }
+            } else if (this.triggerHigh && tracked < -hysteresis) {
+                this.triggerHigh = false;
+            }
+
+            let down1;
+            let down2;
+            if (variant === VARIANT_NORMAL) {
+                down1 = mono * this.divideBy2;
+                down2 = mono * this.divideBy4;
+            } else if (variant === VARIANT_AGGRESSIVE) {
+                down1 = this.divideBy2 * this.envelope;
+                down2 = this.divideBy4 * this.envelope;
+            } else {
+                this.smooth2 += (this.divideBy2 - this.smooth2) * this.subCoefficient;
+                this.smooth4 += (this.divideBy4 - this.smooth4) * this.subCoefficient;
+                down1 = this.smooth2 * this.envelope * 2;
+                down2 = this.smooth4 * this.envelope * 2;
+            }
+
+            // Full-wave rectification doubles the frequency: the octave up voice
+            const up = Math.abs(mono) * 2 - this.envelope;
+
+            let wet = down1 * octave1 + down2 * octave2 + up * rectified;
+
+            if (am > 0) {
+                const carrier = this.envelope > 1e-4 ? Math.max(-1, Math.min(1, mono / this.envelope)) : 0;
+                wet *= 1 - am + am * carrier;
+            }
+
+            wet = Math.tanh(wet * drive) * driveNormalize;
+
+            this.toneState += (wet - this.toneState) * toneCoefficient;
+            wet = this.toneState;
+
+            output[0][n] = left * (1 - mix) + wet * mix;
+            if (output[1]) {
+                output[1][n] = right * (1 - mix) + wet * mix;
+            }
+        }
+
+        return true;
+    }
+}
+
+registerProcessor('octaver-processor', OctaverProcessor);
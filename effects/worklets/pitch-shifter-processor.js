@@ -0,0 +1,86 @@
+/**
+ * Granular delay-line pitch shifter.
+ *
+ * Two read taps sweep through a delay line half a window apart, each faded
+ * with a raised-cosine window so their sum stays at unity gain. Sweeping the
+ * delay at (1 - ratio) samples per sample transposes by `ratio` without
+ * changing duration. Parameters mirror rnbo.pitchshifter.json.
+ */
+
+const MAX_WINDOW_MS = 200;
+
+class PitchShifterProcessor extends AudioWorkletProcessor {
+    static get parameterDescriptors() {
+        return [
+            { name: 'transp', defaultValue: 0, minValue: -24, maxValue: 24, automationRate: 'k-rate' },
+            { name: 'mix', defaultValue: 100, minValue: 0, maxValue: 100, automationRate: 'k-rate' },
+            { name: 'spread', defaultValue: 0, minValue: -100, maxValue: 100, automationRate: 'k-rate' },
+            { name: 'window', defaultValue: 80, minValue: 2, maxValue: MAX_WINDOW_MS, automationRate: 'k-rate' }
+        ];
+    }
+
+    constructor() {
+        super();
+
+        // Power-of-two ring buffer comfortably longer than the largest window
+        const maxDelay = Math.ceil(sampleRate * MAX_WINDOW_MS / 1000) + 2;
+        let size = 1;
+        while (size < maxDelay * 2) size <<= 1;
+
+        this.mask = size - 1;
+        this.buffers = [new Float32Array(size), new Float32Array(size)];
+        this.phases = [0, 0];
+        this.writeIndex = 0;
+    }
+
+    readDelayed(buffer, delay) {
+        const position = this.writeIndex - delay;
+        const index = Math.floor(position);
+        const fraction = position - index;
+        const a = buffer[index & this.mask];
+        const b = buffer[(index + 1) & this.mask];
+        return a + (b - a) * fraction;
+    }
+
+    process(inputs, outputs, parameters) {
+        const input = inputs[0];
+        const output = outputs[0];
+        const frames = output[0].length;
+
+        const transp = parameters.transp[0];
+        const mix = parameters.mix[0] / 100;
+        const spread = parameters.spread[0];
+        const windowSamples = Math.max(2, parameters.window[0] * sampleRate / 1000);
+
+        // Spread detunes the channels in opposite directions (in cents)
+        const steps = output.map((_, channel) => {
+            const cents = transp * 100 + (channel === 0 ? -spread / 2 : spread / 2);
+            const ratio = Math.pow(2, cents / 1200);
+            return (1 - ratio) / windowSamples;
+        });
+
+        for (let n = 0; n < frames; n++) {
+            for (let channel = 0; channel < output.length; channel++) {
+                const buffer = this.buffers[channel];
+                const inputChannel = input[channel] || input[0];
+                const dry = inputChannel ? inputChannel[n] : 0;
+                buffer[this.writeIndex] = dry;
+
+                const phase = this.phases[channel];
+                const gain = 0.5 - 0.5 * Math.cos(2 * Math.PI * phase);
+                const wet = this.readDelayed(buffer, phase * windowSamples) * gain
+                    + this.readDelayed(buffer, ((phase + 0.5) % 1) * windowSamples) * (1 - gain);
+
+                output[channel][n] = dry * (1 - mix) + wet * mix;
+
+                const next = phase + steps[channel];
+                this.phases[channel] = next - Math.floor(next);
+            }
+            this.writeIndex = (this.writeIndex + 1) & this.mask;
+        }
+
+        return true;
+    }
+}
+
+registerProcessor('pitch-shifter-processor', PitchShifterProcessor);
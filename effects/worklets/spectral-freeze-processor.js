@@ -0,0 +1,217 @@
+/**
+ * Spectral freeze.
+ *
+ * The input is analysed continuously; when `freeze` switches on, the current
+ * magnitude spectrum is captured and resynthesised for as long as it stays on,
+ * as overlapping grains with random phases. Transpose, cut filters and the
+ * jitter amounts act on each grain. Parameters mirror rnbo.freezer.json.
+ */
+
+const FFT_SIZE = 2048;
+const HOP_SIZE = FFT_SIZE / 4;
+const MAX_FADE_SECONDS = 4;
+
+// Random-phase grains overlap incoherently; this brings a steady tone back to roughly unity
+const GRAIN_GAIN = 1.3;
+
+class SpectralFreezeProcessor extends AudioWorkletProcessor {
+    static get parameterDescriptors() {
+        return [
+            { name: 'freeze', defaultValue: 0, minValue: 0, maxValue: 1, automationRate: 'k-rate' },
+            { name: 'transp', defaultValue: 0, minValue: -24, maxValue: 24, automationRate: 'k-rate' },
+            { name: 'lowcut', defaultValue: 0, minValue: 0, maxValue: 100, automationRate: 'k-rate' },
+            { name: 'highcut', defaultValue: 0, minValue: 0, maxValue: 100, automationRate: 'k-rate' },
+            { name: 'volume', defaultValue: -25, minValue: -100, maxValue: 100, automationRate: 'k-rate' },
+            { name: 'fade', defaultValue: 25, minValue: 0, maxValue: 100, automationRate: 'k-rate' },
+            { name: 'pitchjit', defaultValue: 25, minValue: 0, maxValue: 100, automationRate: 'k-rate' },
+            { name: 'panjit', defaultValue: 25, minValue: 0, maxValue: 100, automationRate: 'k-rate' },
+            { name: 'ampjit', defaultValue: 25, minValue: 0, maxValue: 100, automationRate: 'k-rate' },
+            { name: 'direct', defaultValue: 1, minValue: 0, maxValue: 1, automationRate: 'k-rate' }
+        ];
+    }
+
+    constructor() {
+        super();
+
+        this.mask = FFT_SIZE - 1;
+        this.window = new Float32Array(FFT_SIZE).map((_, i) => 0.5 - 0.5 * Math.cos(2 * Math.PI * i / FFT_SIZE));
+
+        this.inputRing = new Float32Array(FFT_SIZE);
+        this.inputIndex = 0;
+
+        this.real = new Float32Array(FFT_SIZE);
+        this.imag = new Float32Array(FFT_SIZE);
+        this.magnitudes = new Float32Array(FFT_SIZE / 2 + 1);
+        this.hasSpectrum = false;
+
+        this.overlapLeft = new Float32Array(FFT_SIZE);
+        this.overlapRight = new Float32Array(FFT_SIZE);
+        this.overlapIndex = 0;
+        this.hopCounter = 0;
+
+        this.frozen = false;
+        this.freezeGain = 0;
+
+        this.setupFFT();
+    }
+
+    setupFFT() {
+        const bits = Math.log2(FFT_SIZE);
+        this.bitReverse = new Uint32Array(FFT_SIZE);
+        for (let i = 0; i < FFT_SIZE; i++) {
+            let reversed = 0;
+            for (let b = 0; b < bits; b++) {
+                reversed = (reversed << 1) | ((i >> b) & 1);
+            }
+            this.bitReverse[i] = reversed;
+        }
+
+        this.cosTable = new Float32Array(FFT_SIZE / 2);
+        this.sinTable = new Float32Array(FFT_SIZE / 2);
+        for (let i = 0; i < FFT_SIZE / 2; i++) {
+            this.cosTable[i] = Math.cos(2 * Math.PI * i / FFT_SIZE);
+            this.sinTable[i] = Math.sin(2 * Math.PI * i / FFT_SIZE);
+        }
+    }
+
+    // In-place radix-2 FFT; `inverse` flips the twiddle sign (scaling is left to the caller)
+    fft(real, imag, inverse) {
+        for (let i = 0; i < FFT_SIZE; i++) {
+            const j = this.bitReverse[i];
+            if (j > i) {
+                [real[i], real[j]] = [real[j], real[i]];
+                [imag[i], imag[j]] = [imag[j], imag[i]];
+            }
+        }
+
+        const sign = inverse ? 1 : -1;
+        for (let size = 2; size <= FFT_SIZE; size <<= 1) {
+            const half = size >> 1;
+            const tableStep = FFT_SIZE / size;
+            for (let start = 0; start < FFT_SIZE; start += size) {
+                for (let k = 0; k < half; k++) {
+                    const wr = this.cosTable[k * tableStep];
+                    const wi = sign * this.sinTable[k * tableStep];
+                    const a = start + k;
+                    const b = a + half;
+                    const tr = real[b] * wr - imag[b] * wi;
+                    const ti = real[b] * wi + imag[b] * wr;
+                    real[b] = real[a] - tr;
+                    imag[b] = imag[a] - ti;
+                    real[a] += tr;
+                    imag[a] += ti;
+                }
+            }
+        }
+    }
+
+    captureSpectrum() {
+        for (let i = 0; i < FFT_SIZE; i++) {
+            this.real[i] = this.inputRing[(this.inputIndex + i) & this.mask] * this.window[i];
+            this.imag[i] = 0;
+        }
+        this.fft(this.real, this.imag, false);
+
+        for (let k = 0; k <= FFT_SIZE / 2; k++) {
+            this.magnitudes[k] = Math.hypot(this.real[k], this.imag[k]);
+        }
+        this.hasSpectrum = true;
+    }
+
+    synthesizeGrain(settings) {
+        const { transp, lowcut, highcut, pitchjit, panjit, ampjit } = settings;
+        const binHz = sampleRate / FFT_SIZE;
+
+        // Jitter is drawn once per grain so it reads as movement rather than noise
+        const jitterSemitones = (Math.random() * 2 - 1) * (pitchjit / 100);
+        const ratio = Math.pow(2, (transp + jitterSemitones) / 12);
+        const lowBin = lowcut > 0 ? (20 * Math.pow(1000, lowcut / 100)) / binHz : 0;
+        const highBin = highcut > 0 ? (20000 * Math.pow(0.001, highcut / 100)) / binHz : FFT_SIZE / 2;
+        const amplitude = GRAIN_GAIN * (1 - (ampjit / 100) * Math.random());
+        const pan = 0.5 + (Math.random() - 0.5) * (panjit / 100);
+        const gainLeft = Math.SQRT2 * Math.cos(pan * Math.PI / 2) * amplitude;
+        const gainRight = Math.SQRT2 * Math.sin(pan * Math.PI / 2) * amplitude;
+
+        this.real.fill(0);
+        this.imag.fill(0);
+        for (let k = 1; k < FFT_SIZE / 2; k++) {
+            if (k < lowBin || k > highBin) continue;
+
+            const source = Math.round(k / ratio);
+            if (source < 1 || source > FFT_SIZE / 2) continue;
+
+            const magnitude = this.magnitudes[source];
+            const phase = Math.random() * 2 * Math.PI;
+            this.real[k] = magnitude * Math.cos(phase);
+            this.imag[k] = magnitude * Math.sin(phase);
+            this.real[FFT_SIZE - k] = this.real[k];
+            this.imag[FFT_SIZE - k] = -this.imag[k];
+        }
+        this.fft(this.real, this.imag, true);
+
+        for (let i = 0; i < FFT_SIZE; i++) {
+            const sample = this.real[i] / FFT_SIZE * this.window[i];
+            const index = (this.overlapIndex + i) & this.mask;
+            this.overlapLeft[index] += sample * gainLeft;
+            this.overlapRight[index] += sample * gainRight;
+        }
+    }
+
+    process(inputs, outputs, parameters) {
+        const input = inputs[0];
+        const output = outputs[0];
+        const frames = output[0].length;
+
+        const settings = {};
+        for (const name of Object.keys(parameters)) {
+            settings[name] = parameters[name][0];
+        }
+
+        const shouldFreeze = settings.freeze >= 0.5;
+        if (shouldFreeze && !this.frozen) {
+            this.captureSpectrum();
+        }
+        this.frozen = shouldFreeze;
+
+        const fadeSeconds = settings.fade / 100 * MAX_FADE_SECONDS;
+        const fadeStep = fadeSeconds > 0 ? 1 / (fadeSeconds * sampleRate) : 1;
+        const volume = Math.pow(10, settings.volume * 0.24 / 20); // ±100% = ±24 dB
+        const direct = settings.direct >= 0.5 ? 1 : 0;
+
+        for (let n = 0; n < frames; n++) {
+            const left = input[0] ? input[0][n] : 0;
+            const right = input[1] ? input[1][n] : left;
+
+            this.inputRing[this.inputIndex] = (left + right) / 2;
+            this.inputIndex = (this.inputIndex + 1) & this.mask;
+
+            if (this.hopCounter === 0 && this.hasSpectrum && (this.frozen || this.freezeGain > 0)) {
+                this.synthesizeGrain(settings);
+            }
+            this.hopCounter = (this.hopCounter + 1) % HOP_SIZE;
+
+            const target = this.frozen ? 1 : 0;
+            if (this.freezeGain < target) {
+                this.freezeGain = Math.min(target, this.freezeGain + fadeStep);
+            } else if (this.freezeGain > target) {
+                this.freezeGain = Math.max(target, this.freezeGain - fadeStep);
+            }
+
+            const wetGain = this.freezeGain * volume;
+            const wetLeft = this.overlapLeft[this.overlapIndex] * wetGain;
+            const wetRight = this.overlapRight[this.overlapIndex] * wetGain;
+            this.overlapLeft[this.overlapIndex] = 0;
+            this.overlapRight[this.overlapIndex] = 0;
+            this.overlapIndex = (this.overlapIndex + 1) & this.mask;
+
+            output[0][n] = left * direct + wetLeft;
+            if (output[1]) {
+                output[1][n] = right * direct + wetRight;
+            }
+        }
+
+        return true;
+    }
+}
+
+registerProcessor('spectral-freeze-processor', SpectralFreezeProcessor);
@@ -0,0 +1,139 @@
+/**
+ * Gesture recognizer: turns tracked touches into discrete gestures.
+ *
+ * Feed it the BlobTracker's touch events (see attach) and listen for
+ * 'gesture' events whose `detail` is { type, touch }, where type is one of
+ * GESTURE_TYPES. A tap is held back for the double-tap window so a double
+ * tap never also fires two single taps.
+ */
+
+export const GESTURE_TYPES = {
+    'tap': 'Tap',
+    'double-tap': 'Double tap',
+    'hold': 'Long hold',
+    'stomp': 'Stomp',
+    'swipe-left': 'Swipe left',
+    'swipe-right': 'Swipe right',
+    'swipe-up': 'Swipe up',
+    'swipe-down': 'Swipe down'
+};
+
+export class GestureRecognizer extends EventTarget {
+    constructor({
+        tapMaxMs = 250,
+        tapMaxTravel = 1.5,
+        doubleTapMs = 350,
+        doubleTapMaxDistance = 2,
+        holdMs = 800,
+        stompMinPeak = 200,
+        stompMaxRiseMs = 80,
+        swipeMinDistance = 3,
+        swipeMaxMs = 1000
+    } = {}) {
+        super();
+        Object.assign(this, {
+            tapMaxMs, tapMaxTravel, doubleTapMs, doubleTapMaxDistance,
+            holdMs, stompMinPeak, stompMaxRiseMs, swipeMinDistance, swipeMaxMs
+        });
+
+        this.tracks = new Map(); // touch id -> { startX, startY, startTime, travel, held, stomped }
+        this.pendingTap = null; // { touch, timer } waiting to see if a second tap follows
+    }
+
+    attach(tracker) {
+        tracker.addEventListener('touch-start', (e) => this.handleTouchStart(e.detail));
+        tracker.addEventListener('touch-move', (e) => this.handleTouchMove(e.detail));
+        tracker.addEventListener('touch-end', (e) => this.handleTouchEnd(e.detail));
+    }
+
+    emit(type, touch) {
+        this.dispatchEvent(new CustomEvent('gesture', { detail: { type, touch } }));
+    }
+
+    handleTouchStart(touch) {
+        this.tracks.set(touch.id, {
+            startX: touch.x,
+            startY: touch.y,
+            startTime: touch.startTime,
+            travel: 0,
+            held: false,
+            stomped: false
+        });
+        this.checkStomp(touch);
+    }
+
+    handleTouchMove(touch) {
+        const track = this.tracks.get(touch.id);
+        if (!track) return;
+
+        track.travel = Math.max(track.travel, Math.hypot(touch.x - track.startX, touch.y - track.startY));
+        this.checkStomp(touch);
+
+        if (!track.held && !track.stomped && track.travel < this.tapMaxTravel && touch.lastTime - track.startTime >= this.holdMs) {
+            track.held = true;
+            this.emit('hold', touch);
+        }
+    }
+
+    // A stomp is a touch that reaches a hard peak almost as soon as it lands
+    checkStomp(touch) {
+        const track = this.tracks.get(touch.id);
+        if (track.stomped || touch.lastTime - track.startTime > this.stompMaxRiseMs) return;
+        if (touch.peak >= this.stompMinPeak) {
+            track.stomped = true;
+            this.emit('stomp', touch);
+        }
+    }
+
+    handleTouchEnd(touch) {
+        const track = this.tracks.get(touch.id);
+        this.tracks.delete(touch.id);
+        if (!track || track.held || track.stomped) return;
+
+        const duration = touch.lastTime - track.startTime;
+        const dx = touch.x - track.startX;
+        const dy = touch.y - track.startY;
+
+        if (Math.hypot(dx, dy) >= this.swipeMinDistance && duration <= this.swipeMaxMs) {
+            const direction = Math.abs(dx) >= Math.abs(dy)
+                ? (dx > 0 ? 'right' : 'left')
+                : (dy > 0 ? 'down' : 'up');
+            this.emit(`swipe-${direction}`, touch);
+            return;
+        }
+
+        if (duration <= this.tapMaxMs && track.travel < this.tapMaxTravel) {
+            this.registerTap(touch);
+        }
+    }
+
+    registerTap(touch) {
+        const pending = this.pendingTap;
+        if (pending && Math.hypot(touch.x - pending.touch.x, touch.y - pending.touch.y) <= this.doubleTapMaxDistance) {
+            clearTimeout(pending.timer);
+            this.pendingTap = null;
+            this.emit('double-tap', touch);
+            return;
+        }
+
+        // A tap somewhere else settles the earlier one straight away
+        if (pending) {
+            clearTimeout(pending.timer);
+            this.emit('tap', pending.touch);
+        }
+
+        const timer = setTimeout(() => {
+            this.pendingTap = null;
+            this.emit('tap', touch);
+        }, this.doubleTapMs);
+        this.pendingTap = { touch, timer };
+    }
+
+    reset() {
+        if (this.pendingTap) {
+            clearTimeout(this.pendingTap.timer);
+        }
+        this.pendingTap = null;
+        this.tracks.clear();
+    }
+}
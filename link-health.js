@@ -0,0 +1,83 @@
+/**
+ * Serial link health: frame rate, malformed/corrupt/dropped counts,
+ * inter-frame jitter and a stall check, from events the SerialParser
+ * records as frames arrive. Timestamps are performance.now() milliseconds.
+ */
+
+export class LinkHealth {
+    constructor({ stallMs = 2000, rateWindowMs = 2000, smoothing = 1 / 16 } = {}) {
+        this.stallMs = stallMs; // No frame for this long counts as a stalled stream
+        this.rateWindowMs = rateWindowMs;
+        this.smoothing = smoothing; // Weight of the newest interval in the mean and jitter
+        this.reset();
+    }
+
+    reset(timestamp = performance.now()) {
+        this.startTime = timestamp;
+        this.frames = 0;
+        this.malformed = 0;
+        this.corrupt = 0;
+        this.dropped = 0;
+        this.recentFrames = [];
+        this.lastFrameTime = null;
+        this.meanIntervalMs = 0;
+        this.jitterMs = 0;
+    }
+
+    recordFrame(timestamp = performance.now()) {
+        if (this.lastFrameTime !== null) {
+            const interval = timestamp - this.lastFrameTime;
+            if (this.frames === 1) {
+                this.meanIntervalMs = interval;
+            } else {
+                // Jitter as the smoothed deviation from the smoothed interval, as RTP does
+                this.jitterMs += (Math.abs(interval - this.meanIntervalMs) - this.jitterMs) * this.smoothing;
+                this.meanIntervalMs += (interval - this.meanIntervalMs) * this.smoothing;
+            }
+        }
+
+        this.frames++;
+        this.lastFrameTime = timestamp;
+        this.recentFrames.push(timestamp);
+        this.trimRecent(timestamp);
+    }
+
+    recordMalformed() {
+        this.malformed++;
+    }
+
+    recordCorrupt(count = 1) {
+        this.corrupt += count;
+    }
+
+    recordDropped(count = 1) {
+        this.dropped += count;
+    }
+
+    trimRecent(now) {
+        while (this.recentFrames.length > 0 && now - this.recentFrames[0] > this.rateWindowMs) {
+            this.recentFrames.shift();
+        }
+    }
+
+    isStalled(now = performance.now()) {
+        return now - (this.lastFrameTime ?? this.startTime) > this.stallMs;
+    }
+
+    snapshot(now = performance.now()) {
+        this.trimRecent(now);
+        const elapsed = Math.min(this.rateWindowMs, now - this.startTime);
+
+        return {
+            frames: this.frames,
+            fps: elapsed > 0 ? this.recentFrames.length * 1000 / elapsed : 0,
+            malformed: this.malformed,
+            corrupt: this.corrupt,
+            dropped: this.dropped,
+            meanIntervalMs: this.meanIntervalMs,
+            jitterMs: this.jitterMs,
+            msSinceLastFrame: this.lastFrameTime === null ? null : now - this.lastFrameTime,
+            stalled: this.isStalled(now)
+        };
+    }
+}
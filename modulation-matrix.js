@@ -0,0 +1,148 @@
+/**
+ * Modulation matrix: derives normalised control sources from each pressure
+ * frame and maps them onto voice or effect parameters per route.
+ * Kept free of DOM and audio code so it only deals in numbers.
+ */
+
+export const MODULATION_SOURCES = {
+    totalPressure: 'Total pressure',
+    centerX: 'Centre X',
+    centerY: 'Centre Y',
+    zonePressure: 'Zone pressure',
+    contactArea: 'Contact area',
+    pressureVelocity: 'Pressure velocity'
+};
+
+// Each curve maps 0..1 onto 0..1
+export const MODULATION_CURVES = {
+    linear: { name: 'Linear', apply: v => v },
+    exponential: { name: 'Exponential', apply: v => v * v },
+    logarithmic: { name: 'Logarithmic', apply: v => Math.sqrt(v) },
+    scurve: { name: 'S-curve', apply: v => v * v * (3 - 2 * v) }
+};
+
+const clamp01 = value => Math.max(0, Math.min(1, value));
+
+// Targets the app routes: 'volume', 'wet' or 'effect:<effectName>:<paramId>'
+export function isModulationTarget(target) {
+    return target === 'volume' || target === 'wet' || /^effect:[^:]+:[^:]+$/.test(target);
+}
+
+export class ModulationMatrix {
+    constructor({ columns = 10, fullScaleCells = 25, velocityFullScale = 4, velocitySmoothing = 0.3 } = {}) {
+        this.columns = columns;
+        this.fullScaleCells = fullScaleCells; // Pressed cells that count as a full-scale footprint
+        this.velocityFullScale = velocityFullScale; // Total-pressure change per second that reads as 1
+        this.velocitySmoothing = velocitySmoothing;
+
+        this.routes = [];
+        this.nextRouteId = 1;
+
+        this.sources = {
+            totalPressure: 0,
+            centerX: 0.5,
+            centerY: 0.5,
+            zonePressure: [],
+            contactArea: 0,
+            pressureVelocity: 0
+        };
+        this.lastTotal = null;
+        this.lastTimestamp = null;
+    }
+
+    addRoute(route = {}) {
+        const newRoute = {
+            source: 'totalPressure',
+            target: 'volume',
+            depth: 1,
+            min: 0,
+            max: 1,
+            curve: 'linear',
+            ...route,
+            id: this.nextRouteId++
+        };
+        this.routes.push(newRoute);
+        return newRoute;
+    }
+
+    updateRoute(id, changes) {
+        const route = this.routes.find(r => r.id === id);
+        if (!route) return null;
+        Object.assign(route, changes, { id });
+        return route;
+    }
+
+    removeRoute(id) {
+        this.routes = this.routes.filter(route => route.id !== id);
+    }
+
+    update(pressureMatrix, zoneLevels, threshold, timestamp = performance.now()) {
+        const rows = Math.ceil(pressureMatrix.length / this.columns);
+        let total = 0;
+        let activeCells = 0;
+        let weightedX = 0;
+        let weightedY = 0;
+
+        pressureMatrix.forEach((pressure, index) => {
+            total += pressure;
+            if (pressure > threshold) activeCells++;
+            weightedX += (index % this.columns) * pressure;
+            weightedY += Math.floor(index / this.columns) * pressure;
+        });
+
+        const totalPressure = clamp01(total / (255 * this.fullScaleCells));
+        const sources = this.sources;
+        sources.totalPressure = totalPressure;
+        sources.contactArea = clamp01(activeCells / this.fullScaleCells);
+
+        // Centre of mass holds its last position when the mat is released
+        if (total > 0) {
+            sources.centerX = this.columns > 1 ? weightedX / total / (this.columns - 1) : 0.5;
+            sources.centerY = rows > 1 ? weightedY / total / (rows - 1) : 0.5;
+        }
+
+        sources.zonePressure = zoneLevels.map(level => clamp01((level - threshold) / (255 - threshold)));
+
+        if (this.lastTimestamp !== null && timestamp > this.lastTimestamp) {
+            const perSecond = Math.abs(totalPressure - this.lastTotal) / ((timestamp - this.lastTimestamp) / 1000);
+            const instant = clamp01(perSecond / this.velocityFullScale);
+            sources.pressureVelocity += (instant - sources.pressureVelocity) * this.velocitySmoothing;
+        }
+        this.lastTotal = totalPressure;
+        this.lastTimestamp = timestamp;
+
+        return sources;
+    }
+
+    sourceValue(route, zoneIndex) {
+        const value = this.sources[route.source];
+        if (Array.isArray(value)) {
+            return value[zoneIndex] || 0;
+        }
+        return value || 0;
+    }
+
+    // Depth blends from the unmodulated value towards the curved point within [min, max]
+    apply(route, zoneIndex, baseValue) {
+        const curve = MODULATION_CURVES[route.curve] || MODULATION_CURVES.linear;
+        const shaped = curve.apply(clamp01(this.sourceValue(route, zoneIndex)));
+        const modulated = route.min + (route.max - route.min) * shaped;
+        return baseValue + route.depth * (modulated - baseValue);
+    }
+
+    toJSON() {
+        return this.routes.map(({ id, ...route }) => route);
+    }
+
+    load(routes = []) {
+        this.routes = [];
+        routes.forEach(route => {
+            const target = route.target || 'volume';
+            if (!isModulationTarget(target)) {
+                console.warn(`Dropping modulation route with unknown target '${target}'`);
+                return;
+            }
+            this.addRoute({ ...route, target });
+        });
+    }
+}
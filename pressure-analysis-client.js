@@ -0,0 +1,137 @@
+/**
+ * UI-side handle on the pressure analysis worker. Re-dispatches the worker's
+ * messages as events ('frame', 'zone', 'gesture', 'health', 'device-info',
+ * 'protocol', 'zone-settings') whose detail is the message, and turns
+ * request() into a promise of the reply.
+ *
+ * Where module workers aren't available, or the worker fails, the analysis
+ * runs on this thread instead, behind the same interface.
+ */
+
+import { PressureAnalysis } from './pressure-analysis.js';
+
+export class PressureAnalysisClient extends EventTarget {
+    constructor() {
+        super();
+        this.generation = 0;
+        this.pendingRequests = new Map(); // requestId -> { resolve, reject, timer }
+        this.nextRequestId = 1;
+        this.requestTimeoutMs = 5000;
+        this.local = null;
+
+        // Everything needed to bring a replacement analysis up to date
+        this.settings = {};
+        this.serialOpen = false;
+        this.deviceInfo = null;
+
+        try {
+            this.worker = new Worker(new URL('./pressure-worker.js', import.meta.url), { type: 'module' });
+            this.worker.addEventListener('message', (e) => this.receive(e.data));
+            this.worker.addEventListener('error', (e) => {
+                console.error('❌ Pressure analysis worker failed, continuing on the main thread:', e.message);
+                this.fallBackToMainThread();
+            });
+        } catch (error) {
+            console.warn('⚠ No module worker support, analysing pressure on the main thread:', error);
+            this.worker = null;
+            this.local = new PressureAnalysis((message) => this.receive(message));
+        }
+    }
+
+    get inWorker() {
+        return this.worker !== null;
+    }
+
+    fallBackToMainThread() {
+        if (!this.worker) return;
+
+        this.worker.terminate();
+        this.worker = null;
+        this.pendingRequests.forEach(({ reject, timer }) => {
+            clearTimeout(timer);
+            reject(new Error('Pressure analysis worker failed'));
+        });
+        this.pendingRequests.clear();
+
+        this.local = new PressureAnalysis((message) => this.receive(message));
+        this.send({ type: 'reset', generation: this.generation });
+        this.send({ type: 'configure', settings: { ...this.settings, ...(this.deviceInfo && { deviceInfo: this.deviceInfo }) } });
+        if (this.serialOpen) {
+            // Without a handshake on record the replacement waits for one, then assumes the default mat
+            this.send({ type: this.deviceInfo ? 'serial-resume' : 'serial-open' });
+        }
+    }
+
+    send(message, transfer = []) {
+        if (this.worker) {
+            this.worker.postMessage(message, transfer);
+        } else {
+            this.local.handleMessage(message);
+        }
+    }
+
+    request(type, data = {}) {
+        const requestId = this.nextRequestId++;
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pendingRequests.delete(requestId);
+                reject(new Error(`Pressure analysis did not answer '${type}' within ${this.requestTimeoutMs} ms`));
+            }, this.requestTimeoutMs);
+            this.pendingRequests.set(requestId, { resolve, reject, timer });
+            this.send({ ...data, type, requestId });
+        });
+    }
+
+    receive(message) {
+        if (message.type === 'response') {
+            const pending = this.pendingRequests.get(message.requestId);
+            if (!pending) return;
+            this.pendingRequests.delete(message.requestId);
+            clearTimeout(pending.timer);
+            if (message.error !== undefined) {
+                pending.reject(new Error(message.error));
+            } else {
+                pending.resolve(message.result);
+            }
+            return;
+        }
+
+        if (message.type === 'device-info') {
+            this.deviceInfo = message.info;
+        }
+
+        // Anything analysed before the last reset refers to touches and zones that are gone
+        if (message.generation !== this.generation) return;
+        this.dispatchEvent(new CustomEvent(message.type, { detail: message }));
+    }
+
+    configure(settings) {
+        Object.assign(this.settings, settings);
+        this.send({ type: 'configure', settings });
+    }
+
+    reset() {
+        this.generation++;
+        this.send({ type: 'reset', generation: this.generation });
+    }
+
+    openSerial() {
+        this.serialOpen = true;
+        this.deviceInfo = null;
+        this.send({ type: 'serial-open' });
+    }
+
+    closeSerial() {
+        this.serialOpen = false;
+        this.send({ type: 'serial-close' });
+    }
+
+    // The chunk's buffer moves to the worker, so it must not be reused afterwards
+    pushBytes(bytes) {
+        this.send({ type: 'bytes', bytes }, this.worker ? [bytes.buffer] : []);
+    }
+
+    pushFrame(values, source) {
+        this.send({ type: 'frame', values, source });
+    }
+}
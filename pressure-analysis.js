@@ -0,0 +1,248 @@
+/**
+ * Pressure analysis: everything between the mat's bytes and the perform grid -
+ * serial parsing, calibration, filtering, touch tracking, gestures and zone
+ * detection - driven by messages and answering with compact ones. It runs in
+ * pressure-worker.js so heavy UI or visualisation work can't delay triggering.
+ *
+ * In: { type, ... } messages handled by `actions` below; any that carry a
+ * requestId are answered with { type: 'response', requestId, result } or,
+ * if the action failed, { type: 'response', requestId, error }.
+ * Out, each tagged with the generation of the last reset:
+ *   frame          { source, timestamp, stats, zoneLevels, touches } plus any of raw, calibrated,
+ *                  filtered, upsampled and matrix named in the frameStages setting
+ *   zone           { zone, on, level }
+ *   gesture        { gesture, touch }
+ *   health         { health }
+ *   device-info    { info }
+ *   protocol       { protocol, detected }
+ *   zone-settings  { zones, defaults }
+ * `timestamp` is when the frame was parsed, in ms since the epoch so it reads
+ * the same on either thread. `matrix` is whichever of calibrated/filtered the
+ * mappings read; touches are { id, x, y, area, peak, peakCell }. zoneLevels is
+ * null unless zones trigger.
+ */
+
+import { SerialParser } from './serial-parser.js';
+import { SensorCalibration } from './sensor-calibration.js';
+import { PressureFilter } from './pressure-filter.js';
+import { BlobTracker } from './blob-tracker.js';
+import { GestureRecognizer } from './gesture-recognizer.js';
+import { ZoneDetector } from './zone-detector.js';
+import { getSensorZoneMap, getZonePeakPressures } from './zone-layout.js';
+
+function compactTouch({ id, x, y, area, peak, peakCell }) {
+    return { id, x, y, area, peak, peakCell };
+}
+
+// Overall pressure and centre of mass; the centre is scaled to 0-255 like the sensor values
+function computeStats(matrix, columns, rows) {
+    let total = 0, max = 0, activeSensors = 0;
+    let weightedX = 0, weightedY = 0;
+    matrix.forEach((pressure, sensor) => {
+        total += pressure;
+        max = Math.max(max, pressure);
+        if (pressure > 0) {
+            activeSensors++;
+            weightedX += (sensor % columns) * pressure;
+            weightedY += Math.floor(sensor / columns) * pressure;
+        }
+    });
+
+    return {
+        total,
+        average: matrix.length > 0 ? total / matrix.length : 0,
+        max,
+        activeSensors,
+        centerX: total > 0 ? Math.round((weightedX / total) * 255 / columns) : 0,
+        centerY: total > 0 ? Math.round((weightedY / total) * 255 / rows) : 0
+    };
+}
+
+export class PressureAnalysis {
+    constructor(post) {
+        this.post = post;
+        this.generation = 0;
+
+        this.parser = new SerialParser();
+        this.parser.onFrame = (values) => this.processFrame(values, 'serial');
+        this.parser.onDeviceInfo = (info) => this.emit('device-info', { info });
+        this.parser.onProtocolDetected = (protocol, detected) => this.emit('protocol', { protocol, detected });
+        this.parser.onHealthUpdate = (health) => this.emit('health', { health });
+
+        this.calibration = new SensorCalibration();
+        this.filter = new PressureFilter();
+        this.mappingSource = 'filtered'; // 'filtered' or 'unfiltered': what touches and zones read
+        this.frameStages = []; // Whole matrices cost a copy per frame, so only those the UI asked for go out
+
+        // Touches decide which zones are held, but only while the grid is performing
+        this.layout = null;
+        this.sensorZoneMap = [];
+        this.zoneTriggering = false;
+        this.touchZones = new Map(); // touch id -> zone index it pressed
+        this.blobTracker = new BlobTracker();
+        this.zoneDetector = new ZoneDetector();
+        this.gestureRecognizer = new GestureRecognizer();
+        this.gestureRecognizer.attach(this.blobTracker);
+
+        this.blobTracker.addEventListener('touch-start', (e) => this.handleTouchStart(e.detail));
+        this.blobTracker.addEventListener('touch-end', (e) => this.touchZones.delete(e.detail.id));
+        this.gestureRecognizer.addEventListener('gesture', (e) => {
+            this.emit('gesture', { gesture: e.detail.type, touch: compactTouch(e.detail.touch) });
+        });
+        this.zoneDetector.addEventListener('zone-on', (e) => this.emit('zone', { ...e.detail, on: true }));
+        this.zoneDetector.addEventListener('zone-off', (e) => this.emit('zone', { ...e.detail, on: false }));
+
+        this.actions = {
+            'configure': ({ settings }) => this.configure(settings),
+            'reset': ({ generation }) => this.reset(generation),
+            'bytes': ({ bytes }) => this.parser.push(bytes),
+            'frame': ({ values, source }) => this.processFrame(values, source),
+            'serial-open': () => this.parser.open(),
+            'serial-close': () => this.parser.close(),
+            'serial-resume': () => this.parser.resume(),
+            'health': () => this.parser.health.snapshot(),
+            'reset-health': () => {
+                this.parser.resetHealth();
+                return this.parser.health.snapshot();
+            },
+            'suggest-thresholds': () => this.zoneDetector.suggestThresholds()
+        };
+    }
+
+    handleMessage(message) {
+        const respond = (reply) => {
+            if (message.requestId !== undefined) {
+                this.post({ type: 'response', requestId: message.requestId, ...reply });
+            }
+        };
+
+        const action = this.actions[message.type];
+        if (!action) {
+            console.warn(`Unknown pressure analysis message: ${message.type}`);
+            respond({ error: `Unknown pressure analysis message: ${message.type}` });
+            return;
+        }
+
+        try {
+            respond({ result: action(message) });
+        } catch (error) {
+            console.error(`❌ Pressure analysis failed on '${message.type}':`, error);
+            respond({ error: error.message });
+        }
+    }
+
+    emit(type, detail) {
+        this.post({ type, generation: this.generation, ...detail });
+    }
+
+    // Settings are partial: layout, defaultOn, filter, mappingSource, frameStages, calibration, zoneTriggering, protocol, deviceInfo
+    configure(settings) {
+        const appliers = {
+            layout: layout => {
+                this.layout = layout;
+                this.sensorZoneMap = getSensorZoneMap(layout);
+                this.blobTracker.columns = layout.sensorColumns;
+                this.filter.configure({ columns: layout.sensorColumns });
+                this.zoneDetector.configure(layout.zones.map(zone => zone.thresholds));
+            },
+            defaultOn: value => {
+                this.zoneDetector.defaultOn = value;
+            },
+            filter: filter => this.filter.configure(filter),
+            mappingSource: source => {
+                this.mappingSource = source;
+            },
+            calibration: calibration => {
+                this.calibration = new SensorCalibration(calibration || {});
+            },
+            frameStages: stages => {
+                this.frameStages = stages;
+            },
+            zoneTriggering: enabled => {
+                this.zoneTriggering = enabled;
+                this.touchZones.clear();
+            },
+            protocol: protocol => {
+                this.parser.protocol = protocol;
+            },
+            // Restores a handshake already answered, when another instance takes over mid-connection
+            deviceInfo: info => {
+                this.parser.deviceInfo = info;
+            }
+        };
+        Object.entries(settings).forEach(([key, value]) => appliers[key]?.(value));
+
+        // Touches must segment below the lowest release level any zone uses
+        this.blobTracker.threshold = this.zoneDetector.getLowestOffThreshold();
+        if ('layout' in settings || 'defaultOn' in settings) {
+            this.emit('zone-settings', {
+                zones: this.layout ? this.layout.zones.map((_, zone) => this.zoneDetector.getSettings(zone)) : [],
+                defaults: this.zoneDetector.getDefaultSettings()
+            });
+        }
+    }
+
+    // Forget tracked touches so anyone still standing retriggers cleanly; events
+    // from before the reset carry the old generation, so the UI can ignore them
+    reset(generation = this.generation + 1) {
+        this.generation = generation;
+        this.blobTracker.reset();
+        this.gestureRecognizer.reset();
+        this.zoneDetector.reset();
+        this.touchZones.clear();
+    }
+
+    processFrame(raw, source) {
+        if (!this.layout) return;
+        const timestamp = performance.timeOrigin + performance.now();
+
+        // Calibration comes first so nothing downstream sees resting weight or broken sensors
+        const calibrated = this.calibration.apply(raw);
+
+        // Both stages stay available; the mapping source picks which one drives the grid
+        const { filtered, upsampled } = this.filter.process(calibrated);
+        const matrix = this.mappingSource === 'unfiltered' ? calibrated : filtered;
+
+        // Touches feed zone triggering and gesture recognition alike
+        this.blobTracker.update(matrix);
+        const zoneLevels = this.zoneTriggering ? this.detectZones(matrix) : null;
+
+        const stages = { raw, calibrated, filtered, upsampled, matrix };
+        this.emit('frame', {
+            source,
+            timestamp,
+            stats: computeStats(matrix, this.layout.sensorColumns, this.layout.sensorRows),
+            zoneLevels,
+            touches: Array.from(this.blobTracker.touches.values(), compactTouch),
+            ...Object.fromEntries(this.frameStages.map(stage => [stage, stages[stage]]))
+        });
+    }
+
+    detectZones(matrix) {
+        // Each zone's level is the strongest touch that landed in it, so a straddling
+        // foot counts once; the zone detector then applies that zone's thresholds
+        const levels = new Array(this.layout.zones.length).fill(0);
+        this.touchZones.forEach((zone, touchId) => {
+            const touch = this.blobTracker.touches.get(touchId);
+            if (touch && zone >= 0 && zone < levels.length) {
+                levels[zone] = Math.max(levels[zone], touch.peak);
+            }
+        });
+        this.zoneDetector.update(levels, getZonePeakPressures(this.layout, matrix));
+        return levels;
+    }
+
+    getTouchZone(touch) {
+        // The zone under the centroid wins, so a foot straddling a boundary fires only one
+        const centroidSensor = Math.round(touch.y) * this.layout.sensorColumns + Math.round(touch.x);
+        const zone = this.sensorZoneMap[centroidSensor];
+        return zone >= 0 ? zone : (this.sensorZoneMap[touch.peakCell] ?? -1);
+    }
+
+    handleTouchStart(touch) {
+        if (!this.zoneTriggering) return;
+
+        // A touch keeps the zone it landed in for its whole life
+        this.touchZones.set(touch.id, this.getTouchZone(touch));
+    }
+}
@@ -0,0 +1,155 @@
+/**
+ * Pressure filter: smooths calibrated frames before anything reads them.
+ *
+ * Stages run in order: a 3-frame median (kills single-frame spikes at the
+ * cost of one frame of latency), temporal smoothing (EMA or moving average),
+ * then an optional 3x3 spatial blur. Upsampling is bilinear and only feeds
+ * visualisations, since zones and touches are defined in sensor units.
+ */
+
+export const TEMPORAL_FILTERS = {
+    none: 'None',
+    ema: 'Exponential (EMA)',
+    average: 'Moving average'
+};
+
+export const UPSAMPLE_FACTORS = [1, 2, 4];
+
+// Settings as saved and passed to configure(); everything except the sensor columns
+export const DEFAULT_FILTER_SETTINGS = {
+    temporal: 'none',
+    emaAlpha: 0.5, // Weight of the newest frame
+    averageFrames: 3,
+    median: false,
+    blur: false,
+    upsample: 1
+};
+
+const BLUR_KERNEL = [1, 2, 1];
+
+export class PressureFilter {
+    constructor({ columns = 10, ...settings } = {}) {
+        this.columns = columns;
+        Object.assign(this, DEFAULT_FILTER_SETTINGS, settings);
+
+        this.reset();
+    }
+
+    configure(settings = {}) {
+        Object.assign(this, settings);
+        this.reset();
+    }
+
+    reset() {
+        this.medianHistory = [];
+        this.averageHistory = [];
+        this.ema = null;
+    }
+
+    process(matrix) {
+        let filtered = this.median ? this.applyMedian(matrix) : matrix;
+
+        const temporal = {
+            none: frame => frame,
+            ema: frame => this.applyEma(frame),
+            average: frame => this.applyAverage(frame)
+        };
+        filtered = (temporal[this.temporal] || temporal.none)(filtered);
+
+        if (this.blur) {
+            filtered = this.applyBlur(filtered);
+        }
+        filtered = filtered.map(value => Math.round(value));
+
+        return {
+            filtered,
+            upsampled: this.upsample > 1 ? this.applyUpsample(filtered, this.upsample) : null
+        };
+    }
+
+    applyMedian(matrix) {
+        // The first frame stands in for history we haven't seen yet
+        if (this.medianHistory.length === 0) this.medianHistory.push(matrix, matrix);
+        this.medianHistory.push(matrix);
+        if (this.medianHistory.length > 3) this.medianHistory.shift();
+
+        const [a, b, c] = this.medianHistory;
+        return matrix.map((_, index) => Math.max(Math.min(a[index], b[index]), Math.min(Math.max(a[index], b[index]), c[index])));
+    }
+
+    applyEma(matrix) {
+        if (!this.ema || this.ema.length !== matrix.length) {
+            this.ema = [...matrix];
+            return this.ema;
+        }
+        this.ema = this.ema.map((previous, index) => previous + this.emaAlpha * (matrix[index] - previous));
+        return this.ema;
+    }
+
+    applyAverage(matrix) {
+        this.averageHistory.push(matrix);
+        while (this.averageHistory.length > Math.max(1, this.averageFrames)) this.averageHistory.shift();
+
+        const count = this.averageHistory.length;
+        return matrix.map((_, index) => this.averageHistory.reduce((sum, frame) => sum + frame[index], 0) / count);
+    }
+
+    // Weights are renormalised at the edges so border sensors don't darken
+    applyBlur(matrix) {
+        const columns = this.columns;
+        const rows = Math.ceil(matrix.length / columns);
+
+        return matrix.map((_, index) => {
+            const x = index % columns;
+            const y = Math.floor(index / columns);
+            let sum = 0;
+            let weight = 0;
+
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    const nx = x + dx;
+                    const ny = y + dy;
+                    if (nx < 0 || nx >= columns || ny < 0 || ny >= rows) continue;
+                    const w = BLUR_KERNEL[dx + 1] * BLUR_KERNEL[dy + 1];
+                    sum += matrix[ny * columns + nx] * w;
+                    weight += w;
+                }
+            }
+            return sum / weight;
+        });
+    }
+
+    // Returns { values, columns, rows } at `factor` times the sensor resolution
+    applyUpsample(matrix, factor) {
+        const columns = this.columns;
+        const rows = Math.ceil(matrix.length / columns);
+        const outColumns = columns * factor;
+        const outRows = rows * factor;
+        const values = new Array(outColumns * outRows);
+        const sample = (x, y) => matrix[y * columns + x] || 0;
+
+        for (let oy = 0; oy < outRows; oy++) {
+            const sy = Math.max(0, Math.min(rows - 1, (oy + 0.5) / factor - 0.5));
+            const y0 = Math.floor(sy);
+            const y1 = Math.min(rows - 1, y0 + 1);
+            const fy = sy - y0;
+
+            for (let ox = 0; ox < outColumns; ox++) {
+                const sx = Math.max(0, Math.min(columns - 1, (ox + 0.5) / factor - 0.5));
+                const x0 = Math.floor(sx);
+                const x1 = Math.min(columns - 1, x0 + 1);
+                const fx = sx - x0;
+
+                const top = sample(x0, y0) + (sample(x1, y0) - sample(x0, y0)) * fx;
+                const bottom = sample(x0, y1) + (sample(x1, y1) - sample(x0, y1)) * fx;
+                values[oy * outColumns + ox] = Math.round(top + (bottom - top) * fy);
+            }
+        }
+
+        return { values, columns: outColumns, rows: outRows };
+    }
+
+    toJSON() {
+        return Object.fromEntries(Object.keys(DEFAULT_FILTER_SETTINGS).map(key => [key, this[key]]));
+    }
+}
@@ -0,0 +1,117 @@
+/**
+ * Pressure heatmap: draws one frame of the sensor matrix onto a canvas with
+ * the zone layout, each zone's trigger threshold contour, tracked touches and
+ * the zones currently firing laid over it.
+ *
+ * Everything is passed to render() so the view holds no pipeline state.
+ */
+
+import { getZoneColor } from './zone-layout.js';
+
+// Dark blue through red to yellow as pressure rises
+function pressureColor(value) {
+    const level = Math.max(0, Math.min(255, value)) / 255;
+    return `hsl(${Math.round(240 - level * 180)}, 90%, ${Math.round(8 + level * 52)}%)`;
+}
+
+export class PressureHeatmap {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+    }
+
+    /**
+     * matrix/columns/rows: the sensor frame the overlays refer to.
+     * display: optional { values, columns, rows } drawn as the background instead (e.g. upsampled).
+     * zoneMap: sensor -> zone index or -1. activeZones: zone index -> firing.
+     * thresholds: sensor -> trigger level for the contour. touches: BlobTracker touches.
+     */
+    render({ matrix, columns, rows, display = null, zoneMap = [], activeZones = [], thresholds = [], touches = [] }) {
+        const ctx = this.context;
+        const { width, height } = this.canvas;
+        const cellWidth = width / columns;
+        const cellHeight = height / rows;
+
+        ctx.clearRect(0, 0, width, height);
+
+        const background = display || { values: matrix, columns, rows };
+        const pixelWidth = width / background.columns;
+        const pixelHeight = height / background.rows;
+        background.values.forEach((value, index) => {
+            ctx.fillStyle = pressureColor(value);
+            ctx.fillRect(
+                (index % background.columns) * pixelWidth,
+                Math.floor(index / background.columns) * pixelHeight,
+                Math.ceil(pixelWidth),
+                Math.ceil(pixelHeight)
+            );
+        });
+
+        // Firing zones get a tint of their editor colour
+        zoneMap.forEach((zone, sensor) => {
+            if (zone < 0 || !activeZones[zone]) return;
+            ctx.fillStyle = getZoneColor(zone, 0.45);
+            ctx.fillRect((sensor % columns) * cellWidth, Math.floor(sensor / columns) * cellHeight, cellWidth, cellHeight);
+        });
+
+        // Zone boundaries, then the threshold contour, as edges between neighbouring sensors
+        const isAbove = sensor => (matrix[sensor] || 0) >= (thresholds[sensor] ?? Infinity);
+        this.strokeEdges(columns, rows, (a, b) => zoneMap[a] !== zoneMap[b], 'rgba(255, 255, 255, 0.6)', []);
+        this.strokeEdges(columns, rows, (a, b) => isAbove(a) !== isAbove(b), '#ffeb3b', [4, 3], isAbove);
+
+        ctx.font = `${Math.max(10, Math.round(cellHeight * 0.4))}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        touches.forEach(touch => {
+            const x = (touch.x + 0.5) * cellWidth;
+            const y = (touch.y + 0.5) * cellHeight;
+            const radius = Math.max(cellWidth, cellHeight) * Math.max(0.5, Math.sqrt(touch.area / Math.PI));
+
+            ctx.strokeStyle = '#ffffff';
+            ctx.lineWidth = 2;
+            ctx.setLineDash([]);
+            ctx.beginPath();
+            ctx.arc(x, y, radius, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.fillStyle = '#ffffff';
+            ctx.fillText(String(touch.id), x, y);
+        });
+    }
+
+    // Strokes the edge between each pair of 4-neighbours the predicate separates;
+    // with `outside` given, the sensor map border counts as an edge for sensors inside
+    strokeEdges(columns, rows, separates, color, dash, outside = null) {
+        const ctx = this.context;
+        const cellWidth = this.canvas.width / columns;
+        const cellHeight = this.canvas.height / rows;
+
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.setLineDash(dash);
+        ctx.beginPath();
+        for (let y = 0; y < rows; y++) {
+            for (let x = 0; x < columns; x++) {
+                const sensor = y * columns + x;
+                const right = x < columns - 1 ? separates(sensor, sensor + 1) : outside?.(sensor);
+                const below = y < rows - 1 ? separates(sensor, sensor + columns) : outside?.(sensor);
+                if (right) {
+                    ctx.moveTo((x + 1) * cellWidth, y * cellHeight);
+                    ctx.lineTo((x + 1) * cellWidth, (y + 1) * cellHeight);
+                }
+                if (below) {
+                    ctx.moveTo(x * cellWidth, (y + 1) * cellHeight);
+                    ctx.lineTo((x + 1) * cellWidth, (y + 1) * cellHeight);
+                }
+                if (outside && x === 0 && outside(sensor)) {
+                    ctx.moveTo(0, y * cellHeight);
+                    ctx.lineTo(0, (y + 1) * cellHeight);
+                }
+                if (outside && y === 0 && outside(sensor)) {
+                    ctx.moveTo(x * cellWidth, 0);
+                    ctx.lineTo((x + 1) * cellWidth, 0);
+                }
+            }
+        }
+        ctx.stroke();
+    }
+}
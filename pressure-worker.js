@@ -0,0 +1,10 @@
+/**
+ * Module worker hosting PressureAnalysis, so parsing and triggering keep
+ * their own thread. Messages pass straight through in both directions.
+ */
+
+import { PressureAnalysis } from './pressure-analysis.js';
+
+const analysis = new PressureAnalysis((message) => self.postMessage(message));
+
+self.addEventListener('message', (e) => analysis.handleMessage(e.data));
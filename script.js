@@ -1,5 +1,41 @@
 import { AudioEngine } from './audio-engine.js';
 import { SerialHandler } from './serial-handler.js';
+import { ModulationMatrix, MODULATION_SOURCES, MODULATION_CURVES } from './modulation-matrix.js';
+import {
+    DEFAULT_LAYOUT,
+    createGridLayout,
+    cloneLayout,
+    normalizeLayout,
+    getSensorZoneMap,
+    assignSensorToZone,
+    getZoneColor
+} from './zone-layout.js';
+import { GESTURE_TYPES } from './gesture-recognizer.js';
+import { DEFAULT_FILTER_SETTINGS, TEMPORAL_FILTERS, UPSAMPLE_FACTORS } from './pressure-filter.js';
+import { PressureAnalysisClient } from './pressure-analysis-client.js';
+import { PressureHeatmap } from './pressure-heatmap.js';
+import { SERIAL_PROTOCOLS, BAUD_RATES } from './serial-protocol.js';
+import { VirtualMat, VIRTUAL_PATTERNS } from './virtual-mat.js';
+import { SessionRecorder, SessionPlayer, serializeSession, parseSession, PLAYBACK_SPEEDS } from './sensor-session.js';
+import { SensorCalibration, CalibrationCapture, suggestMaskedSensors, createCalibration } from './sensor-calibration.js';
+
+// Effects the first perform grid starts with, by cell index
+const DEFAULT_CELL_EFFECTS = ['pitchshifter', 'ringmod', 'freezer', 'vibrato', 'filterdelay', 'octaver', 'pitchshifter', 'ringmod', 'freezer'];
+
+const GESTURE_ACTIONS = {
+    'none': 'Nothing',
+    'toggle-recording': 'Start/stop recording',
+    'switch-mode': 'Switch mode',
+    'next-scene': 'Next scene',
+    'previous-scene': 'Previous scene',
+    'toggle-effects': 'Toggle effects',
+    'freeze': 'Toggle freeze'
+};
+
+const DEFAULT_GESTURE_BINDINGS = {
+    'swipe-left': 'previous-scene',
+    'swipe-right': 'next-scene'
+};
 
 class AudioRugApp {
     constructor() {
@@ -28,19 +64,68 @@ class AudioRugApp {
         this.pressureThreshold = 25; // Single configurable threshold for both modes
         
         // --- Performance State ---
-        this.gridCellPressureState = new Array(9).fill(false);
+        this.zoneLayout = this.loadZoneLayout();
+        this.zoneEditor = null; // Working copy while the layout editor is open
+        const zoneCount = this.zoneLayout.zones.length;
+        this.gridCellPressureState = new Array(zoneCount).fill(false);
         this.activeSampleSources = new Map(); // Track active sample sources for each grid cell
-        
-        // Add initialization for debounce timers
-        this.gridCellDebounceTimers = new Array(9).fill(null);
-        this.pressureDebounceMs = 50; // 50ms debounce for pressure changes
+        this.pendingSampleStarts = new Map(); // gridIndex -> token of a start still loading its sample and effects
+        this.gridCellChains = []; // gridIndex -> ordered [{ effectName, presetName }]
+        this.maxChainLength = 4;
+        this.freezeHoldMs = 600; // Holding a cell this long freezes any Freezer in its chain
+        this.freezeHoldTimers = new Map();
+        this.pressureModulationTarget = 'volume'; // 'none', 'volume', 'wet' or 'effect:<effectName>:<paramId>'
+        this.gridCellPressureLevels = new Array(zoneCount).fill(0); // Latest peak pressure per zone from the mat
+        this.modulationMatrix = new ModulationMatrix({ columns: this.zoneLayout.sensorColumns });
+        
+        // Parsing, touch tracking, gestures and zone detection run in a worker and report back as events
+        this.analysis = new PressureAnalysisClient();
+        this.sensorZoneMap = getSensorZoneMap(this.zoneLayout);
+        this.zoneSettings = { zones: [], defaults: {} }; // Each zone's resolved thresholds, as the zone detector reports them
+        this.latestTouches = []; // Touches in the latest analysed frame
+        this.serialProtocol = null; // Wire format the analysis detected on the current connection
+        this.gestureBindings = this.loadGestureBindings(); // gesture type -> action id
+        this.scenes = this.loadScenes(); // [{ name, chains }] snapshots of every cell's chain
+        this.currentSceneIndex = -1;
+        
+        // --- Calibration ---
+        this.calibration = new SensorCalibration(); // Pass-through until a mat's calibration is loaded
+        this.calibrationKey = 'default';
+        this.calibrationWizard = null; // { step: 'baseline' | 'press' | 'review', baselineCapture, pressCapture, masked, startedAt }
+        this.calibrationBaselineMs = 3000;
+        this.calibrationMinFrames = 5;
+
+        // --- Filtering ---
+        const filterSettings = this.loadFilterSettings();
+        this.filterSettings = { ...DEFAULT_FILTER_SETTINGS, ...filterSettings.filter };
+        this.mappingSource = filterSettings.mappingSource; // 'filtered' or 'unfiltered': what touches, zones and modulation read
+        this.pressureFrames = { raw: [], calibrated: [], filtered: [], upsampled: null }; // Latest frame at each stage, for visualisations
+        this.frameStages = []; // The stages the analysis sends with each frame, see updateFrameStages
+
+        // --- Virtual mat: hardware-free frames through the same pipeline ---
+        this.virtualMat = new VirtualMat({ rows: this.zoneLayout.sensorRows, columns: this.zoneLayout.sensorColumns });
+
+        // --- Sensor sessions: live frames can be recorded, and recordings replayed in their place ---
+        this.sessionRecorder = new SessionRecorder();
+        this.recordedSession = null;
+        this.sessionPlayer = null;
         
         // Add debug tracking variable
         this.lastTotalPressure = 0;
         
+        this.analysis.configure({
+            layout: this.zoneLayout,
+            defaultOn: this.pressureThreshold,
+            filter: this.filterSettings,
+            mappingSource: this.mappingSource,
+            zoneTriggering: this.currentMode === 'PERFORM'
+        });
+
         this.initializeElements();
         this.setupEventListeners();
+        this.loadCalibration(this.calibrationKey);
         
+        this.debug(`Pressure analysis running ${this.analysis.inWorker ? 'in a worker' : 'on the main thread'}`);
         this.debug('Audio Rug App constructed, awaiting initialization.');
         this.preInitializeApp();
     }
@@ -74,10 +159,17 @@ class AudioRugApp {
             
             this.loadSamples();
             this.setupGrid();
+            this.renderSceneSelect();
+            this.loadEffectSettings();
             this.setupEffectsControls();
             
             this.hideLoadingOverlay();
             this.debug('Audio Rug App initialized successfully');
+
+            // Reopen a mat this browser has already been granted, without the port picker
+            if (await this.serialHandler.connectToKnownPort()) {
+                this.debug('Reconnected to previously used mat');
+            }
         } catch (error) {
             this.updateLoadingStatus(`Error: ${error.message}. Please refresh.`, true);
             this.startAppBtn.style.display = 'none';
@@ -103,6 +195,8 @@ class AudioRugApp {
         
         // Connection
         this.connectBtn = document.getElementById('connectBtn');
+        this.baudRateSelect = document.getElementById('baudRateSelect');
+        this.protocolSelect = document.getElementById('protocolSelect');
         this.statusText = document.getElementById('statusText');
         
         // Sensitivity control
@@ -126,6 +220,7 @@ class AudioRugApp {
         this.performRecordBtn = document.getElementById('performRecordBtn');
         this.downloadBtn = document.getElementById('downloadBtn');
         this.performGrid = document.getElementById('performGrid');
+        this.effectsList = document.getElementById('effectsList');
         
         // Effects toggle
         this.effectsToggleBtn = document.getElementById('effectsToggleBtn');
@@ -144,6 +239,52 @@ class AudioRugApp {
         this.effectsControlPanel = document.getElementById('effectsControlPanel');
         this.effectsControlContent = document.getElementById('effectsControlContent');
         this.resetEffectsBtn = document.getElementById('resetEffectsBtn');
+        this.zoneLayoutToggle = document.getElementById('zoneLayoutToggle');
+        this.zoneLayoutPanel = document.getElementById('zoneLayoutPanel');
+        this.zoneLayoutContent = document.getElementById('zoneLayoutContent');
+        this.saveZoneLayoutBtn = document.getElementById('saveZoneLayoutBtn');
+        this.sceneSelect = document.getElementById('sceneSelect');
+        this.storeSceneBtn = document.getElementById('storeSceneBtn');
+        this.gestureToggle = document.getElementById('gestureToggle');
+        this.gesturePanel = document.getElementById('gesturePanel');
+        this.gestureContent = document.getElementById('gestureContent');
+        this.calibrationToggle = document.getElementById('calibrationToggle');
+        this.calibrationPanel = document.getElementById('calibrationPanel');
+        this.calibrationContent = document.getElementById('calibrationContent');
+        this.filterToggle = document.getElementById('filterToggle');
+        this.filterPanel = document.getElementById('filterPanel');
+        this.filterContent = document.getElementById('filterContent');
+        this.heatmapToggle = document.getElementById('heatmapToggle');
+        this.heatmapPanel = document.getElementById('heatmapPanel');
+        this.heatmapCanvas = document.getElementById('heatmapCanvas');
+        this.heatmapSourceSelect = document.getElementById('heatmapSourceSelect');
+        this.heatmapFullscreenBtn = document.getElementById('heatmapFullscreenBtn');
+        this.heatmap = new PressureHeatmap(this.heatmapCanvas);
+        this.linkValue = document.getElementById('linkValue');
+        this.linkHealthToggle = document.getElementById('linkHealthToggle');
+        this.linkHealthPanel = document.getElementById('linkHealthPanel');
+        this.linkHealthContent = document.getElementById('linkHealthContent');
+        this.resetLinkHealthBtn = document.getElementById('resetLinkHealthBtn');
+        this.virtualMatToggle = document.getElementById('virtualMatToggle');
+        this.virtualMatPanel = document.getElementById('virtualMatPanel');
+        this.virtualMatCanvas = document.getElementById('virtualMatCanvas');
+        this.virtualMatStartBtn = document.getElementById('virtualMatStartBtn');
+        this.virtualPressureSlider = document.getElementById('virtualPressureSlider');
+        this.virtualPressureValue = document.getElementById('virtualPressureValue');
+        this.virtualNoiseSlider = document.getElementById('virtualNoiseSlider');
+        this.virtualNoiseValue = document.getElementById('virtualNoiseValue');
+        this.virtualPatternSelect = document.getElementById('virtualPatternSelect');
+        this.virtualMatView = new PressureHeatmap(this.virtualMatCanvas);
+        this.sessionToggle = document.getElementById('sessionToggle');
+        this.sessionPanel = document.getElementById('sessionPanel');
+        this.recordSessionBtn = document.getElementById('recordSessionBtn');
+        this.saveSessionBtn = document.getElementById('saveSessionBtn');
+        this.loadSessionInput = document.getElementById('loadSessionInput');
+        this.playSessionBtn = document.getElementById('playSessionBtn');
+        this.stopSessionBtn = document.getElementById('stopSessionBtn');
+        this.sessionSpeedSelect = document.getElementById('sessionSpeedSelect');
+        this.sessionLoopCheckbox = document.getElementById('sessionLoopCheckbox');
+        this.sessionStatus = document.getElementById('sessionStatus');
         
         this.volumeBar = document.getElementById('volumeBar');
 
@@ -188,6 +329,7 @@ class AudioRugApp {
                 this.connectArduino();
             }
         });
+        this.setupSerialSettings();
         
         // Recording
         this.recordBtn.addEventListener('click', () => this.handleManualRecordToggle());
@@ -221,14 +363,81 @@ class AudioRugApp {
         this.effectsControlToggle.addEventListener('click', () => this.toggleEffectsControl());
         this.refreshEffectsDebug.addEventListener('click', () => this.refreshEffectsDebugPanel());
         this.resetEffectsBtn.addEventListener('click', () => this.resetAllEffects());
+        this.zoneLayoutToggle.addEventListener('click', () => this.toggleZoneLayoutEditor());
+        this.setupZoneLayoutEditor();
         
         // Serial data handling
-        this.serialHandler.onDataReceived = (data) => this.handleSerialData(data);
+        this.serialHandler.onBytesReceived = (bytes) => this.analysis.pushBytes(bytes);
         this.serialHandler.onConnectionChange = (connected) => this.handleConnectionChange(connected);
+        this.serialHandler.onReconnectChange = (status) => this.handleReconnectChange(status);
+        this.setupVirtualMat();
+        this.setupSessionControls();
+        this.linkHealthToggle.addEventListener('click', async () => {
+            const isOpen = this.linkHealthPanel.classList.toggle('active');
+            this.linkHealthToggle.textContent = isOpen ? 'Hide Link Health' : 'Link Health';
+            try {
+                this.renderLinkHealth(await this.analysis.request('health'));
+            } catch (error) {
+                this.debug(`⚠ Link health unavailable: ${error.message}`);
+            }
+        });
+        this.resetLinkHealthBtn.addEventListener('click', async () => {
+            try {
+                this.renderLinkHealth(await this.analysis.request('reset-health'));
+            } catch (error) {
+                this.debug(`⚠ Could not reset link health: ${error.message}`);
+            }
+        });
+
+        // Analysed frames and the events found in them drive the perform grid
+        this.analysis.addEventListener('frame', (e) => this.handleAnalysisFrame(e.detail));
+        this.analysis.addEventListener('zone', (e) => this.handleZoneChange(e.detail.zone, e.detail.on, e.detail.level));
+        this.analysis.addEventListener('gesture', (e) => this.handleGesture({ type: e.detail.gesture, touch: e.detail.touch }));
+        this.analysis.addEventListener('zone-settings', (e) => {
+            this.zoneSettings = { zones: e.detail.zones, defaults: e.detail.defaults };
+        });
+        this.analysis.addEventListener('health', (e) => this.handleLinkHealth(e.detail.health));
+        this.analysis.addEventListener('device-info', (e) => {
+            this.serialHandler.deviceInfo = e.detail.info;
+            this.handleDeviceInfo(e.detail.info);
+        });
+        this.analysis.addEventListener('protocol', (e) => {
+            const { protocol, detected } = e.detail;
+            this.serialProtocol = protocol;
+            this.debug(`Serial protocol: ${SERIAL_PROTOCOLS[protocol]}${detected ? '' : ' (nothing recognised, assuming CSV)'}`);
+            this.statusText.textContent = `Connected (${SERIAL_PROTOCOLS[protocol]}, ${this.serialHandler.baudRate} baud)`;
+        });
+
+        // Scenes and gesture bindings
+        this.sceneSelect.addEventListener('change', () => {
+            if (this.sceneSelect.value !== '') this.loadScene(parseInt(this.sceneSelect.value));
+        });
+        this.storeSceneBtn.addEventListener('click', () => this.storeScene());
+        this.gestureToggle.addEventListener('click', () => this.toggleGesturePanel());
+        this.calibrationToggle.addEventListener('click', () => this.toggleCalibrationPanel());
+        this.setupCalibrationControls();
+        this.filterToggle.addEventListener('click', () => this.toggleFilterPanel());
+        this.setupFilterControls();
+        this.heatmapToggle.addEventListener('click', () => this.toggleHeatmap());
+        this.heatmapSourceSelect.addEventListener('change', () => this.renderHeatmap());
+        this.heatmapFullscreenBtn.addEventListener('click', () => {
+            this.heatmapCanvas.requestFullscreen().catch(error => console.warn('Fullscreen heatmap unavailable:', error));
+        });
+        this.gestureContent.addEventListener('change', (e) => {
+            const gesture = e.target.dataset.gesture;
+            if (!gesture) return;
+            this.gestureBindings[gesture] = e.target.value;
+            this.saveGestureBindings();
+            this.debug(`${GESTURE_TYPES[gesture]} now does: ${GESTURE_ACTIONS[e.target.value]}`);
+        });
+        
+        // Keep effect controls in sync with preset recalls
+        this.audioEngine.onEffectParameterChange = (effectName, paramId, value) => this.updateEffectControlValue(effectName, paramId, value);
     }
 
     updateSensitivity(value) {
         this.pressureThreshold = value;
+        this.analysis.configure({ defaultOn: value });
         this.sensitivityValue.textContent = value;
         this.debug(`Sensitivity updated to: ${value} (lower = more sensitive)`);
     }
@@ -425,10 +634,43 @@ class AudioRugApp {
     }
 
     setupGrid() {
-        const cells = this.performGrid.querySelectorAll('.grid-cell');
-        cells.forEach((cell, index) => {
+        this.renderPerformGrid();
+
+        // Build the toolbar from the effect registry, then make its items draggable
+        this.renderEffectsToolbar();
+        this.setupEffectsDrag();
+    }
+
+    renderPerformGrid() {
+        const zoneCount = this.zoneLayout.zones.length;
+        const firstBuild = this.gridCellChains.length === 0;
+
+        // Chains stay with their cell index across layout changes
+        this.gridCellChains = Array.from({ length: zoneCount }, (_, index) => {
+            if (this.gridCellChains[index]) return this.gridCellChains[index];
+            const seed = firstBuild ? DEFAULT_CELL_EFFECTS[index] : null;
+            return this.audioEngine.registry.has(seed) ? [{ effectName: seed, presetName: null }] : [];
+        });
+
+        this.performGrid.innerHTML = '';
+        this.performGrid.style.gridTemplateColumns = `repeat(${this.zoneLayout.gridColumns}, 1fr)`;
+
+        for (let index = 0; index < zoneCount; index++) {
+            const cell = document.createElement('div');
+            cell.className = 'grid-cell sample-effect-cell';
+            cell.dataset.index = index;
+            cell.innerHTML = `
+                <div class="cell-content">
+                    <div class="cell-title"></div>
+                    <div class="cell-effect"></div>
+                    <div class="cell-status"></div>
+                </div>
+            `;
+            this.performGrid.appendChild(cell);
+
             // Remove the old click handler and add mouse hold functionality
             cell.addEventListener('mousedown', (e) => {
+                if (e.target.closest('select, button')) return; // Let the chain controls work
                 e.preventDefault();
                 if (this.currentMode === 'PERFORM') {
                     this.handleGridCellPressureChange(index, true, 100);
@@ -437,6 +679,7 @@ class AudioRugApp {
             });
             
             cell.addEventListener('mouseup', (e) => {
+                if (e.target.closest('select, button')) return;
                 e.preventDefault();
                 if (this.currentMode === 'PERFORM' && cell.dataset.mousePressed === 'true') {
                     this.handleGridCellPressureChange(index, false, 0);
@@ -458,13 +701,13 @@ class AudioRugApp {
 
             // Add drag and drop functionality
             this.setupDragAndDrop(cell, index);
-        });
+
+            this.setupCellChainControls(cell, index);
+            this.renderCellChain(index);
+        }
         
         // Update sample titles
         this.updateGridSampleTitles();
-
-        // Setup effect items drag functionality
-        this.setupEffectsDrag();
     }
 
     setupDragAndDrop(cell, index) {
@@ -485,11 +728,20 @@ class AudioRugApp {
             
             const effectType = e.dataTransfer.getData('text/effect');
             if (effectType) {
-                this.changeGridCellEffect(index, effectType);
+                this.addGridCellEffect(index, effectType);
             }
         });
     }
 
+    renderEffectsToolbar() {
+        this.effectsList.innerHTML = this.audioEngine.registry.getAll().map(definition => `
+            <div class="effect-item" draggable="true" data-effect="${definition.id}">
+                <div class="effect-name">${definition.name}</div>
+                <div class="effect-icon">${definition.icon}</div>
+            </div>
+        `).join('');
+    }
+
     setupEffectsDrag() {
         const effectItems = document.querySelectorAll('.effect-item');
         effectItems.forEach(item => {
@@ -506,62 +758,141 @@ class AudioRugApp {
         });
     }
 
-    changeGridCellEffect(gridIndex, newEffect) {
+    setupCellChainControls(cell, index) {
+        cell.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-chain-action]');
+            if (!button) return;
+
+            const linkIndex = parseInt(button.dataset.link);
+            if (button.dataset.chainAction === 'earlier') {
+                this.moveGridCellEffect(index, linkIndex, -1);
+            } else if (button.dataset.chainAction === 'remove') {
+                this.removeGridCellEffect(index, linkIndex);
+            }
+        });
+
+        cell.addEventListener('change', (e) => {
+            const picker = e.target.closest('.cell-preset');
+            if (!picker) return;
+
+            const link = this.gridCellChains[index][parseInt(picker.dataset.link)];
+            if (!link) return;
+            link.presetName = picker.value || null;
+            this.debug(`Grid cell ${index} ${link.effectName} preset set to: ${picker.value || 'shared settings'}`);
+        });
+    }
+
+    addGridCellEffect(gridIndex, effectName) {
+        const chain = this.gridCellChains[gridIndex];
+        if (!chain) return;
+
+        if (chain.length >= this.maxChainLength) {
+            this.debug(`⚠ Grid cell ${gridIndex} already has ${this.maxChainLength} effects chained`);
+            return;
+        }
+
+        chain.push({ effectName, presetName: null });
+        this.onGridCellChainChanged(gridIndex);
+        this.debug(`Added ${effectName} to grid cell ${gridIndex}: ${this.formatEffectChain(chain)}`);
+    }
+
+    moveGridCellEffect(gridIndex, linkIndex, offset) {
+        const chain = this.gridCellChains[gridIndex];
+        const targetIndex = linkIndex + offset;
+        if (!chain || targetIndex < 0 || targetIndex >= chain.length) return;
+
+        [chain[linkIndex], chain[targetIndex]] = [chain[targetIndex], chain[linkIndex]];
+        this.onGridCellChainChanged(gridIndex);
+        this.debug(`Reordered grid cell ${gridIndex} chain: ${this.formatEffectChain(chain)}`);
+    }
+
+    removeGridCellEffect(gridIndex, linkIndex) {
+        const chain = this.gridCellChains[gridIndex];
+        if (!chain || !chain[linkIndex]) return;
+
+        const [removed] = chain.splice(linkIndex, 1);
+        this.onGridCellChainChanged(gridIndex);
+        this.debug(`Removed ${removed.effectName} from grid cell ${gridIndex}: ${this.formatEffectChain(chain)}`);
+    }
+
+    onGridCellChainChanged(gridIndex) {
         const cell = this.performGrid.children[gridIndex];
         if (!cell) return;
 
-        // Stop any currently playing sample on this cell
-        if (this.activeSampleSources.has(gridIndex)) {
+        // Stop any sample playing on this cell; the new chain is heard from its next press
+        if (this.activeSampleSources.has(gridIndex) || this.pendingSampleStarts.has(gridIndex)) {
             this.stopSampleWithEffect(gridIndex);
         }
 
-        // Update the cell's effect data
-        cell.dataset.effect = newEffect;
-        
-        // Update the visual display
-        const effectElement = cell.querySelector('.cell-effect');
-        if (effectElement) {
-            effectElement.textContent = this.formatEffectName(newEffect);
-        }
+        this.renderCellChain(gridIndex);
 
         // Add visual feedback
         cell.classList.add('effect-changed');
         setTimeout(() => {
             cell.classList.remove('effect-changed');
         }, 500);
+    }
 
-        this.debug(`Changed grid cell ${gridIndex} effect to: ${newEffect}`);
+    renderCellChain(gridIndex) {
+        const cell = this.performGrid.children[gridIndex];
+        const effectElement = cell?.querySelector('.cell-effect');
+        if (!effectElement) return;
+
+        const chain = this.gridCellChains[gridIndex] || [];
+        cell.dataset.effects = chain.map(link => link.effectName).join(',');
+
+        if (chain.length === 0) {
+            effectElement.innerHTML = '<div class="chain-empty">No effect (dry)</div>';
+            return;
+        }
+
+        effectElement.innerHTML = chain.map((link, linkIndex) => {
+            const presets = this.audioEngine.getEffectPresets(link.effectName);
+            return `
+                <div class="chain-link">
+                    <span class="chain-link-name">${linkIndex + 1}. ${this.audioEngine.registry.get(link.effectName)?.icon || ''} ${this.formatEffectName(link.effectName)}</span>
+                    ${presets.length > 0 ? `
+                        <select class="cell-preset" data-link="${linkIndex}" title="Preset recalled when this cell is pressed">
+                            <option value="">Shared</option>
+                            ${presets.map(name => `<option value="${name}" ${name === link.presetName ? 'selected' : ''}>${name}</option>`).join('')}
+                        </select>
+                    ` : ''}
+                    ${linkIndex > 0 ? `<button class="chain-btn" data-chain-action="earlier" data-link="${linkIndex}" title="Move earlier in chain">‹</button>` : ''}
+                    <button class="chain-btn" data-chain-action="remove" data-link="${linkIndex}" title="Remove from chain">×</button>
+                </div>
+            `;
+        }).join('');
+    }
+
+    formatEffectChain(chain) {
+        return chain.length > 0 ? chain.map(link => this.formatEffectName(link.effectName)).join(' → ') : 'no effects';
     }
 
     formatEffectName(effectType) {
-        const effectNames = {
-            'pitchshifter': 'Pitch Shifter',
-            'ringmod': 'Ring Mod',
-            'freezer': 'Freezer',
-            'vibrato': 'Vibrato',
-            'filterdelay': 'Filter Delay',
-            'octaver': 'Octaver'
-        };
-        return effectNames[effectType] || effectType;
+        return this.audioEngine.registry.get(effectType)?.name || effectType;
     }
 
     updateGridSampleTitles() {
         // Update all cells to show current sample names and dynamically assign sample indices
         const cells = this.performGrid.querySelectorAll('.grid-cell');
+        const { zones, gridColumns } = this.zoneLayout;
         cells.forEach((cell, gridIndex) => {
             const titleElement = cell.querySelector('.cell-title');
             
             // Dynamically assign sample indices based on available samples
             let sampleIndex;
-            if (this.samples.length >= 9) {
-                // If we have 9 or more samples, use samples 0-8 directly
+            if (zones[gridIndex] && zones[gridIndex].sample !== null) {
+                // The layout pins this zone to a sample
+                sampleIndex = zones[gridIndex].sample;
+            } else if (this.samples.length >= zones.length) {
+                // Enough samples for every zone, one each
                 sampleIndex = gridIndex;
-            } else if (this.samples.length > 3) {
-                // If we have 4-8 samples, use available samples and then cycle through them
-                sampleIndex = gridIndex < this.samples.length ? gridIndex : gridIndex % this.samples.length;
+            } else if (this.samples.length > gridColumns) {
+                // More samples than a row holds: use them in order, then cycle
+                sampleIndex = gridIndex % this.samples.length;
             } else {
-                // If we have 3 or fewer samples, use the original pattern (repeat every 3)
-                sampleIndex = Math.floor(gridIndex / 3) % Math.max(1, this.samples.length);
+                // Few samples: each row of the grid shares one
+                sampleIndex = Math.floor(gridIndex / gridColumns) % Math.max(1, this.samples.length);
             }
             
             // Update the cell's data-sample attribute
@@ -578,8 +909,668 @@ class AudioRugApp {
         });
     }
 
+    loadZoneLayout() {
+        try {
+            const saved = normalizeLayout(JSON.parse(localStorage.getItem('audioRugZoneLayout')));
+            if (saved) return saved;
+        } catch (error) {
+            console.warn('Ignoring unreadable saved zone layout:', error);
+        }
+        return cloneLayout(DEFAULT_LAYOUT);
+    }
+
+    saveZoneLayout() {
+        localStorage.setItem('audioRugZoneLayout', JSON.stringify(this.zoneLayout));
+    }
+
+    applyZoneLayout(layout, chains = this.gridCellChains) {
+        const normalized = normalizeLayout(layout);
+        if (!normalized) {
+            this.debug('⚠ Zone layout needs at least one zone');
+            return false;
+        }
+
+        // Voices and pressure state are indexed by zone, so start from silence
+        this.clearAllActiveEffectsAndSamples();
+
+        this.zoneLayout = normalized;
+        const zoneCount = normalized.zones.length;
+        this.gridCellPressureState = new Array(zoneCount).fill(false);
+        this.gridCellPressureLevels = new Array(zoneCount).fill(0);
+        this.sensorZoneMap = getSensorZoneMap(normalized);
+        this.modulationMatrix.columns = normalized.sensorColumns;
+        this.pressureFrames = { raw: [], calibrated: [], filtered: [], upsampled: null };
+        this.latestTouches = [];
+        this.analysis.configure({ layout: normalized });
+        this.gridCellChains = chains.slice(0, zoneCount);
+
+        this.renderPerformGrid();
+        this.saveZoneLayout();
+
+        const emptyZones = normalized.zones.filter(zone => zone.cells.length === 0).length;
+        this.debug(`Zone layout saved: ${zoneCount} zones${emptyZones > 0 ? `, ⚠ ${emptyZones} without sensors` : ''}`);
+        return true;
+    }
+
+    toggleZoneLayoutEditor() {
+        const isOpen = this.zoneLayoutPanel.classList.toggle('active');
+        this.zoneLayoutToggle.textContent = isOpen ? 'Hide Zone Layout' : 'Zone Layout';
+
+        if (isOpen) {
+            this.zoneEditor = {
+                layout: cloneLayout(this.zoneLayout),
+                chains: this.gridCellChains.map(chain => chain.map(link => ({ ...link }))),
+                selectedZone: 0,
+                gridRows: 3,
+                gridColumns: 3,
+                painting: false
+            };
+            this.renderZoneLayoutEditor();
+        } else {
+            this.zoneEditor = null;
+        }
+    }
+
+    renderZoneLayoutEditor() {
+        const { layout, selectedZone } = this.zoneEditor;
+        const zoneMap = getSensorZoneMap(layout);
+        const selectedSample = layout.zones[selectedZone]?.sample;
+
+        // Empty threshold fields fall back to the detector defaults shown as placeholders
+        const defaults = this.zoneSettings.defaults;
+        const thresholds = layout.zones[selectedZone]?.thresholds || {};
+        const thresholdInput = (key, label) => `
+            <label>${label} <input type="number" class="modulation-range" data-threshold="${key}" min="0"
+                value="${thresholds[key] ?? ''}" placeholder="${defaults[key]}"></label>
+        `;
+
+        this.zoneLayoutContent.innerHTML = `
+            <div class="zone-layout-controls">
+                <div class="parameter-control">
+                    <div class="parameter-label"><span>Even grid</span></div>
+                    <div class="zone-layout-row">
+                        <input type="number" class="modulation-range" id="zoneGridRows" min="1" max="${layout.sensorRows}" value="${this.zoneEditor.gridRows}"> ×
+                        <input type="number" class="modulation-range" id="zoneGridColumns" min="1" max="${layout.sensorColumns}" value="${this.zoneEditor.gridColumns}">
+                        <button class="refresh-btn" data-layout-action="grid">Apply Grid</button>
+                    </div>
+                </div>
+                <div class="parameter-control">
+                    <div class="parameter-label"><span>Paint with</span></div>
+                    <div class="zone-swatches">
+                        ${layout.zones.map((zone, zoneIndex) => `
+                            <button class="zone-swatch ${zoneIndex === selectedZone ? 'selected' : ''}" data-zone="${zoneIndex}"
+                                style="background: ${getZoneColor(zoneIndex)}" title="${zone.cells.length} sensors">${zoneIndex + 1}</button>
+                        `).join('')}
+                        <button class="zone-swatch ${selectedZone === -1 ? 'selected' : ''}" data-zone="-1" title="Remove sensors from their zone">Erase</button>
+                    </div>
+                    <div class="zone-layout-row">
+                        <button class="refresh-btn" data-layout-action="add">Add Zone</button>
+                        <button class="refresh-btn" data-layout-action="remove" ${selectedZone < 0 || layout.zones.length <= 1 ? 'disabled' : ''}>Remove Zone</button>
+                        <button class="refresh-btn" data-layout-action="suggest" title="Set every zone's thresholds from the noise seen while it was idle">Suggest Thresholds</button>
+                    </div>
+                </div>
+                ${selectedZone >= 0 ? `
+                    <div class="parameter-control">
+                        <div class="parameter-label"><span>Zone ${selectedZone + 1} trigger</span></div>
+                        <div class="zone-layout-row">
+                            ${thresholdInput('on', 'On')}
+                            ${thresholdInput('off', 'Off')}
+                        </div>
+                        <div class="zone-layout-row">
+                            ${thresholdInput('onHoldMs', 'Hold on ms')}
+                            ${thresholdInput('offHoldMs', 'Hold off ms')}
+                        </div>
+                    </div>
+                    <div class="parameter-control">
+                        <div class="parameter-label"><span>Zone ${selectedZone + 1} sample</span></div>
+                        <select class="parameter-select" id="zoneSampleSelect">
+                            <option value="">Automatic</option>
+                            ${this.samples.map((sample, index) => `<option value="${index}" ${selectedSample === index ? 'selected' : ''}>${sample.name}</option>`).join('')}
+                        </select>
+                    </div>
+                ` : ''}
+                <div class="parameter-control">
+                    <div class="parameter-label"><span>Perform grid columns</span></div>
+                    <input type="number" class="modulation-range" id="zoneGridDisplayColumns" min="1" max="${layout.zones.length}" value="${layout.gridColumns}">
+                </div>
+            </div>
+            <div class="sensor-map" style="grid-template-columns: repeat(${layout.sensorColumns}, 1fr)">
+                ${zoneMap.map((zoneIndex, sensorIndex) => `
+                    <div class="sensor-cell" data-sensor="${sensorIndex}" ${zoneIndex >= 0 ? `style="background: ${getZoneColor(zoneIndex)}"` : ''}>${zoneIndex >= 0 ? zoneIndex + 1 : ''}</div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    setupZoneLayoutEditor() {
+        const content = this.zoneLayoutContent;
+
+        const paint = (sensorCell) => {
+            const { layout, selectedZone } = this.zoneEditor;
+            assignSensorToZone(layout, parseInt(sensorCell.dataset.sensor), selectedZone);
+            this.renderZoneLayoutEditor();
+        };
+
+        content.addEventListener('mousedown', (e) => {
+            const sensorCell = e.target.closest('.sensor-cell');
+            if (!sensorCell || !this.zoneEditor) return;
+            e.preventDefault();
+            this.zoneEditor.painting = true;
+            paint(sensorCell);
+        });
+        content.addEventListener('mouseover', (e) => {
+            const sensorCell = e.target.closest('.sensor-cell');
+            if (sensorCell && this.zoneEditor?.painting) paint(sensorCell);
+        });
+        window.addEventListener('mouseup', () => {
+            if (this.zoneEditor) this.zoneEditor.painting = false;
+        });
+
+        content.addEventListener('click', (e) => {
+            if (!this.zoneEditor) return;
+            const editor = this.zoneEditor;
+
+            const swatch = e.target.closest('.zone-swatch');
+            if (swatch) {
+                editor.selectedZone = parseInt(swatch.dataset.zone);
+                this.renderZoneLayoutEditor();
+                return;
+            }
+
+            const button = e.target.closest('[data-layout-action]');
+            if (!button) return;
+
+            const action = button.dataset.layoutAction;
+            if (action === 'grid') {
+                const rows = editor.gridRows;
+                const columns = editor.gridColumns;
+                if (!(rows >= 1 && rows <= editor.layout.sensorRows && columns >= 1 && columns <= editor.layout.sensorColumns)) return;
+                editor.layout = createGridLayout(rows, columns, editor.layout.sensorRows, editor.layout.sensorColumns);
+                editor.selectedZone = 0;
+            } else if (action === 'add') {
+                editor.layout.zones.push({ cells: [], sample: null, thresholds: null });
+                editor.chains.push([]);
+                editor.selectedZone = editor.layout.zones.length - 1;
+            } else if (action === 'suggest') {
+                // The noise floors are learned in the analysis worker, so the answer comes back later
+                this.analysis.request('suggest-thresholds').then(suggestions => {
+                    if (this.zoneEditor !== editor) return;
+                    editor.layout.zones.forEach((zone, zoneIndex) => {
+                        if (suggestions[zoneIndex]) {
+                            zone.thresholds = { ...zone.thresholds, ...suggestions[zoneIndex] };
+                        }
+                    });
+                    this.debug(`Suggested thresholds for ${suggestions.filter(Boolean).length} zones from their noise floor; save the layout to use them`);
+                    this.renderZoneLayoutEditor();
+                }).catch(error => this.debug(`⚠ Could not suggest thresholds: ${error.message}`));
+                return;
+            } else if (action === 'remove' && editor.selectedZone >= 0 && editor.layout.zones.length > 1) {
+                editor.layout.zones.splice(editor.selectedZone, 1);
+                editor.chains.splice(editor.selectedZone, 1);
+                editor.selectedZone = Math.min(editor.selectedZone, editor.layout.zones.length - 1);
+            }
+            this.renderZoneLayoutEditor();
+        });
+
+        content.addEventListener('change', (e) => {
+            if (!this.zoneEditor) return;
+            const { layout, selectedZone } = this.zoneEditor;
+
+            const thresholdKey = e.target.dataset.threshold;
+            if (thresholdKey && layout.zones[selectedZone]) {
+                const zone = layout.zones[selectedZone];
+                const thresholds = { ...zone.thresholds };
+                const value = parseFloat(e.target.value);
+                if (isNaN(value)) {
+                    delete thresholds[thresholdKey];
+                } else {
+                    thresholds[thresholdKey] = value;
+                }
+                zone.thresholds = Object.keys(thresholds).length > 0 ? thresholds : null;
+            } else if (e.target.id === 'zoneSampleSelect' && layout.zones[selectedZone]) {
+                layout.zones[selectedZone].sample = e.target.value === '' ? null : parseInt(e.target.value);
+            } else if (e.target.id === 'zoneGridRows' || e.target.id === 'zoneGridColumns') {
+                this.zoneEditor[e.target.id === 'zoneGridRows' ? 'gridRows' : 'gridColumns'] = parseInt(e.target.value);
+            } else if (e.target.id === 'zoneGridDisplayColumns') {
+                const columns = parseInt(e.target.value);
+                if (columns >= 1) layout.gridColumns = columns;
+            }
+        });
+
+        this.saveZoneLayoutBtn.addEventListener('click', () => {
+            if (!this.zoneEditor) return;
+            this.applyZoneLayout(this.zoneEditor.layout, this.zoneEditor.chains);
+            this.zoneEditor.layout = cloneLayout(this.zoneLayout);
+            this.renderZoneLayoutEditor();
+        });
+    }
+
+    handleGesture({ type, touch }) {
+        const action = this.gestureBindings[type] || 'none';
+        this.debug(`👣 ${GESTURE_TYPES[type]} at (${touch.x.toFixed(1)}, ${touch.y.toFixed(1)})${action !== 'none' ? ` → ${GESTURE_ACTIONS[action]}` : ''}`);
+        if (action !== 'none') {
+            this.runGestureAction(action);
+        }
+    }
+
+    runGestureAction(action) {
+        const actions = {
+            'toggle-recording': () => this.currentMode === 'RECORD'
+                ? this.handleManualRecordToggle()
+                : this.togglePerformanceRecording(),
+            'switch-mode': () => this.switchMode(this.currentMode === 'RECORD' ? 'PERFORM' : 'RECORD'),
+            'next-scene': () => this.stepScene(1),
+            'previous-scene': () => this.stepScene(-1),
+            'toggle-effects': () => this.toggleEffects(),
+            'freeze': () => this.toggleFreeze()
+        };
+        actions[action]?.();
+    }
+
+    toggleFreeze() {
+        if (!this.audioEngine.effects.freezer) return;
+
+        const frozen = this.audioEngine.getEffectParameter('freezer', 'freeze') >= 0.5 ? 0 : 1;
+        this.audioEngine.setEffectParameter('freezer', 'freeze', frozen);
+
+        // Cells with their own preset don't follow the shared setting, so reach them directly
+        this.activeSampleSources.forEach((voice, gridIndex) => {
+            this.audioEngine.setVoiceEffectParameter(gridIndex, 'freezer', 'freeze', frozen);
+        });
+        this.updateEffectControlValue('freezer', 'freeze', frozen);
+        this.debug(`❄️ Freeze ${frozen ? 'on' : 'off'}`);
+    }
+
+    loadGestureBindings() {
+        try {
+            return { ...DEFAULT_GESTURE_BINDINGS, ...JSON.parse(localStorage.getItem('audioRugGestureBindings')) };
+        } catch (error) {
+            console.warn('Ignoring unreadable gesture bindings:', error);
+            return { ...DEFAULT_GESTURE_BINDINGS };
+        }
+    }
+
+    saveGestureBindings() {
+        localStorage.setItem('audioRugGestureBindings', JSON.stringify(this.gestureBindings));
+    }
+
+    toggleGesturePanel() {
+        const isOpen = this.gesturePanel.classList.toggle('active');
+        this.gestureToggle.textContent = isOpen ? 'Hide Gestures' : 'Gestures';
+        if (!isOpen) return;
+
+        this.gestureContent.innerHTML = Object.entries(GESTURE_TYPES).map(([gesture, label]) => `
+            <div class="parameter-control">
+                <div class="parameter-label"><span>${label}</span></div>
+                <select class="parameter-select" data-gesture="${gesture}">
+                    ${Object.entries(GESTURE_ACTIONS).map(([action, actionLabel]) => `
+                        <option value="${action}" ${(this.gestureBindings[gesture] || 'none') === action ? 'selected' : ''}>${actionLabel}</option>
+                    `).join('')}
+                </select>
+            </div>
+        `).join('');
+    }
+
+    loadFilterSettings() {
+        const defaults = { filter: {}, mappingSource: 'filtered' };
+        try {
+            return { ...defaults, ...JSON.parse(localStorage.getItem('audioRugFilterSettings')) };
+        } catch (error) {
+            console.warn('Ignoring unreadable filter settings:', error);
+            return defaults;
+        }
+    }
+
+    saveFilterSettings() {
+        localStorage.setItem('audioRugFilterSettings', JSON.stringify({
+            filter: this.filterSettings,
+            mappingSource: this.mappingSource
+        }));
+    }
+
+    toggleFilterPanel() {
+        const isOpen = this.filterPanel.classList.toggle('active');
+        this.filterToggle.textContent = isOpen ? 'Hide Filtering' : 'Filtering';
+        if (isOpen) this.renderFilterPanel();
+    }
+
+    renderFilterPanel() {
+        const filter = this.filterSettings;
+        this.filterContent.innerHTML = `
+            <div class="parameter-control">
+                <div class="parameter-label"><span>Temporal smoothing</span></div>
+                <select class="parameter-select" data-filter="temporal">
+                    ${Object.entries(TEMPORAL_FILTERS).map(([id, label]) => `
+                        <option value="${id}" ${filter.temporal === id ? 'selected' : ''}>${label}</option>
+                    `).join('')}
+                </select>
+            </div>
+            <div class="parameter-control">
+                <div class="parameter-label">
+                    <span>EMA amount</span>
+                    <span class="parameter-value">${filter.emaAlpha.toFixed(2)}</span>
+                </div>
+                <input type="range" class="parameter-slider" data-filter="emaAlpha" min="0.05" max="1" step="0.05" value="${filter.emaAlpha}" ${filter.temporal !== 'ema' ? 'disabled' : ''}>
+            </div>
+            <div class="parameter-control">
+                <div class="parameter-label">
+                    <span>Average frames</span>
+                    <span class="parameter-value">${filter.averageFrames}</span>
+                </div>
+                <input type="range" class="parameter-slider" data-filter="averageFrames" min="2" max="10" step="1" value="${filter.averageFrames}" ${filter.temporal !== 'average' ? 'disabled' : ''}>
+            </div>
+            <div class="parameter-control">
+                <label><input type="checkbox" data-filter="median" ${filter.median ? 'checked' : ''}> Median of 3 frames (removes spikes, adds a frame of latency)</label>
+            </div>
+            <div class="parameter-control">
+                <label><input type="checkbox" data-filter="blur" ${filter.blur ? 'checked' : ''}> 3x3 spatial blur</label>
+            </div>
+            <div class="parameter-control">
+                <div class="parameter-label"><span>Display upsampling</span></div>
+                <select class="parameter-select" data-filter="upsample">
+                    ${UPSAMPLE_FACTORS.map(factor => `
+                        <option value="${factor}" ${filter.upsample === factor ? 'selected' : ''}>${factor === 1 ? 'Off' : `${factor}x`}</option>
+                    `).join('')}
+                </select>
+            </div>
+            <div class="parameter-control">
+                <div class="parameter-label"><span>Touches, zones and modulation read</span></div>
+                <select class="parameter-select" id="mappingSourceSelect">
+                    <option value="filtered" ${this.mappingSource === 'filtered' ? 'selected' : ''}>Filtered frames</option>
+                    <option value="unfiltered" ${this.mappingSource === 'unfiltered' ? 'selected' : ''}>Unfiltered frames</option>
+                </select>
+            </div>
+        `;
+    }
+
+    setupFilterControls() {
+        this.filterContent.addEventListener('change', (e) => {
+            if (e.target.id === 'mappingSourceSelect') {
+                this.mappingSource = e.target.value;
+                this.analysis.configure({ mappingSource: this.mappingSource });
+                this.debug(`Mappings now read ${this.mappingSource} frames`);
+            } else if (e.target.dataset.filter) {
+                const key = e.target.dataset.filter;
+                const readers = {
+                    temporal: target => target.value,
+                    emaAlpha: target => parseFloat(target.value),
+                    averageFrames: target => parseInt(target.value),
+                    median: target => target.checked,
+                    blur: target => target.checked,
+                    upsample: target => parseInt(target.value)
+                };
+                this.filterSettings[key] = readers[key](e.target);
+                this.analysis.configure({ filter: this.filterSettings });
+                this.debug(`Filter ${key} set to ${this.filterSettings[key]}`);
+            } else {
+                return;
+            }
+            this.saveFilterSettings();
+            this.renderFilterPanel();
+        });
+
+        // Show slider values while dragging; the filter itself updates on release
+        this.filterContent.addEventListener('input', (e) => {
+            if (e.target.type !== 'range') return;
+            const valueDisplay = e.target.closest('.parameter-control').querySelector('.parameter-value');
+            if (valueDisplay) valueDisplay.textContent = e.target.value;
+        });
+    }
+
+    loadScenes() {
+        try {
+            const scenes = JSON.parse(localStorage.getItem('audioRugScenes'));
+            return Array.isArray(scenes) ? scenes : [];
+        } catch (error) {
+            console.warn('Ignoring unreadable saved scenes:', error);
+            return [];
+        }
+    }
+
+    saveScenes() {
+        localStorage.setItem('audioRugScenes', JSON.stringify(this.scenes));
+    }
+
+    renderSceneSelect() {
+        this.sceneSelect.innerHTML = this.scenes.length > 0
+            ? this.scenes.map((scene, index) => `<option value="${index}" ${index === this.currentSceneIndex ? 'selected' : ''}>${scene.name}</option>`).join('')
+            : '<option value="">No scenes</option>';
+        if (this.currentSceneIndex < 0 && this.scenes.length > 0) {
+            this.sceneSelect.insertAdjacentHTML('afterbegin', '<option value="" selected>Choose scene...</option>');
+        }
+    }
+
+    storeScene() {
+        this.scenes.push({
+            name: `Scene ${this.scenes.length + 1}`,
+            chains: this.gridCellChains.map(chain => chain.map(link => ({ ...link })))
+        });
+        this.currentSceneIndex = this.scenes.length - 1;
+        this.saveScenes();
+        this.renderSceneSelect();
+        this.debug(`Stored ${this.scenes[this.currentSceneIndex].name}`);
+    }
+
+    loadScene(index) {
+        const scene = this.scenes[index];
+        if (!scene) return;
+
+        this.currentSceneIndex = index;
+        this.gridCellChains = this.gridCellChains.map((_, gridIndex) =>
+            (scene.chains[gridIndex] || [])
+                .filter(link => this.audioEngine.registry.has(link.effectName))
+                .map(link => ({ ...link })));
+        this.gridCellChains.forEach((_, gridIndex) => this.onGridCellChainChanged(gridIndex));
+        this.renderSceneSelect();
+        this.debug(`🎬 Switched to ${scene.name}`);
+    }
+
+    stepScene(offset) {
+        if (this.scenes.length === 0) return;
+        const start = this.currentSceneIndex < 0 ? (offset > 0 ? -1 : 0) : this.currentSceneIndex;
+        this.loadScene((start + offset + this.scenes.length) % this.scenes.length);
+    }
+
+    loadCalibration(key) {
+        this.calibrationKey = key;
+
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem('audioRugCalibrations'))?.[key];
+        } catch (error) {
+            console.warn('Ignoring unreadable saved calibrations:', error);
+        }
+
+        // A calibration taken on a mat of another size can't line up with these sensors
+        const sensorCount = this.zoneLayout.sensorRows * this.zoneLayout.sensorColumns;
+        if (saved && saved.baseline?.length !== sensorCount) {
+            console.warn(`Ignoring calibration for mat '${key}': it covers ${saved.baseline?.length} sensors, not ${sensorCount}`);
+            saved = null;
+        }
+
+        this.setCalibration(new SensorCalibration(saved || {}));
+        this.debug(saved
+            ? `Loaded calibration for mat '${key}' (${this.calibration.masked.size} sensors masked)`
+            : `No calibration stored for mat '${key}', using raw values`);
+        this.renderCalibrationPanel();
+    }
+
+    // The analysis worker applies its own copy of the calibration to every frame
+    setCalibration(calibration) {
+        this.calibration = calibration;
+        this.analysis.configure({ calibration: calibration.toJSON() });
+    }
+
+    saveCalibration() {
+        let calibrations = {};
+        try {
+            calibrations = JSON.parse(localStorage.getItem('audioRugCalibrations')) || {};
+        } catch (error) {
+            console.warn('Replacing unreadable saved calibrations:', error);
+        }
+
+        if (this.calibration.isCalibrated) {
+            calibrations[this.calibrationKey] = this.calibration.toJSON();
+        } else {
+            delete calibrations[this.calibrationKey];
+        }
+        localStorage.setItem('audioRugCalibrations', JSON.stringify(calibrations));
+    }
+
+    toggleCalibrationPanel() {
+        const isOpen = this.calibrationPanel.classList.toggle('active');
+        this.calibrationToggle.textContent = isOpen ? 'Hide Calibration' : 'Calibration';
+        this.renderCalibrationPanel();
+    }
+
+    startCalibration() {
+        const sensorCount = this.zoneLayout.sensorRows * this.zoneLayout.sensorColumns;
+        this.calibrationWizard = {
+            step: 'baseline',
+            baselineCapture: new CalibrationCapture(sensorCount),
+            pressCapture: new CalibrationCapture(sensorCount),
+            masked: new Set(),
+            startedAt: performance.now()
+        };
+        this.updateFrameStages();
+        this.debug('Calibration started: recording empty-mat baseline');
+        this.renderCalibrationPanel();
+    }
+
+    captureCalibrationFrame(rawMatrix) {
+        const wizard = this.calibrationWizard;
+
+        if (wizard.step === 'baseline') {
+            wizard.baselineCapture.add(rawMatrix);
+            const elapsed = performance.now() - wizard.startedAt;
+            if (elapsed >= this.calibrationBaselineMs && wizard.baselineCapture.frames >= this.calibrationMinFrames) {
+                wizard.step = 'press';
+                this.debug(`Baseline recorded from ${wizard.baselineCapture.frames} frames; now press every sensor`);
+            }
+        } else if (wizard.step === 'press') {
+            wizard.pressCapture.add(rawMatrix);
+        } else {
+            return;
+        }
+        this.renderCalibrationPanel();
+    }
+
+    finishCalibrationPress() {
+        const wizard = this.calibrationWizard;
+        wizard.step = 'review';
+        wizard.masked = new Set(suggestMaskedSensors(wizard.baselineCapture, wizard.pressCapture));
+        this.debug(`Calibration review: ${wizard.masked.size} sensors suggested for masking`);
+        this.renderCalibrationPanel();
+    }
+
+    applyCalibrationWizard() {
+        const wizard = this.calibrationWizard;
+        this.setCalibration(createCalibration(wizard.baselineCapture, wizard.pressCapture, Array.from(wizard.masked)));
+        this.calibrationWizard = null;
+        this.updateFrameStages();
+        this.saveCalibration();
+        this.debug(`✓ Calibration saved for mat '${this.calibrationKey}' (${this.calibration.masked.size} sensors masked)`);
+        this.renderCalibrationPanel();
+    }
+
+    setupCalibrationControls() {
+        this.calibrationContent.addEventListener('click', (e) => {
+            const sensorCell = e.target.closest('.sensor-cell');
+            if (sensorCell && this.calibrationWizard?.step === 'review') {
+                const sensor = parseInt(sensorCell.dataset.sensor);
+                const masked = this.calibrationWizard.masked;
+                if (masked.has(sensor)) {
+                    masked.delete(sensor);
+                } else {
+                    masked.add(sensor);
+                }
+                this.renderCalibrationPanel();
+                return;
+            }
+
+            const button = e.target.closest('[data-calibration-action]');
+            if (!button) return;
+
+            const actions = {
+                start: () => this.startCalibration(),
+                done: () => this.finishCalibrationPress(),
+                save: () => this.applyCalibrationWizard(),
+                cancel: () => {
+                    this.calibrationWizard = null;
+                    this.updateFrameStages();
+                    this.renderCalibrationPanel();
+                },
+                clear: () => {
+                    this.setCalibration(new SensorCalibration());
+                    this.saveCalibration();
+                    this.debug(`Calibration cleared for mat '${this.calibrationKey}'`);
+                    this.renderCalibrationPanel();
+                }
+            };
+            actions[button.dataset.calibrationAction]?.();
+        });
+    }
+
+    renderCalibrationPanel() {
+        if (!this.calibrationPanel?.classList.contains('active')) return;
+
+        const wizard = this.calibrationWizard;
+        const columns = this.zoneLayout.sensorColumns;
+        const button = (action, label) => `<button class="refresh-btn" data-calibration-action="${action}">${label}</button>`;
+        const sensorMap = cells => `
+            <div class="sensor-map calibration-map" style="grid-template-columns: repeat(${columns}, 1fr)">
+                ${cells.map(({ className, label, title }, index) => `
+                    <div class="sensor-cell ${className}" data-sensor="${index}" title="${title}">${label}</div>
+                `).join('')}
+            </div>
+        `;
+
+        if (!wizard) {
+            const status = this.calibration.isCalibrated
+                ? `Mat '${this.calibrationKey}' is calibrated, ${this.calibration.masked.size} sensors masked.`
+                : `Mat '${this.calibrationKey}' is not calibrated; raw sensor values are used.`;
+            this.calibrationContent.innerHTML = `
+                <p class="calibration-step">${status}</p>
+                <div class="zone-layout-row">
+                    ${button('start', 'Start Calibration')}
+                    ${this.calibration.isCalibrated ? button('clear', 'Clear Calibration') : ''}
+                </div>
+            `;
+            return;
+        }
+
+        const baseline = wizard.baselineCapture.mean;
+        const span = wizard.pressCapture.max.map((max, index) => Math.round(max - baseline[index]));
+
+        if (wizard.step === 'baseline') {
+            this.calibrationContent.innerHTML = `
+                <p class="calibration-step">Step 1 of 3: keep the mat empty while the baseline is recorded (${wizard.baselineCapture.frames} frames).</p>
+                <div class="zone-layout-row">${button('cancel', 'Cancel')}</div>
+            `;
+        } else if (wizard.step === 'press') {
+            const covered = span.filter(value => value >= 40).length;
+            this.calibrationContent.innerHTML = `
+                <p class="calibration-step">Step 2 of 3: press firmly across every sensor. ${covered} of ${span.length} reached.</p>
+                ${sensorMap(span.map(value => ({ className: value >= 40 ? 'covered' : '', label: '', title: `+${value}` })))}
+                <div class="zone-layout-row">${button('done', 'Done Pressing')}${button('cancel', 'Cancel')}</div>
+            `;
+        } else {
+            this.calibrationContent.innerHTML = `
+                <p class="calibration-step">Step 3 of 3: click sensors to mask or unmask them. ${wizard.masked.size} masked.</p>
+                ${sensorMap(span.map((value, index) => ({
+                    className: wizard.masked.has(index) ? 'masked' : 'covered',
+                    label: value,
+                    title: `baseline ${Math.round(baseline[index])}, full press ${wizard.pressCapture.max[index]}`
+                })))}
+                <div class="zone-layout-row">${button('save', 'Save Calibration')}${button('cancel', 'Cancel')}</div>
+            `;
+        }
+    }
+
     switchMode(mode) {
         this.currentMode = mode;
+        this.analysis.configure({ zoneTriggering: mode === 'PERFORM' });
+        this.updateFrameStages();
         
         // Update button states
         this.recordModeBtn.classList.toggle('active', mode === 'RECORD');
@@ -633,17 +1624,16 @@ class AudioRugApp {
             this.audioEngine.stopLoopedSampleWithEffect(gridIndex);
         });
         this.activeSampleSources.clear();
+        this.pendingSampleStarts.forEach((_start, gridIndex) => {
+            this.audioEngine.stopLoopedSampleWithEffect(gridIndex);
+        });
+        this.pendingSampleStarts.clear();
         
         // Reset all grid cell states
         this.gridCellPressureState.fill(false);
         
-        // Clear all debounce timers
-        if (this.gridCellDebounceTimers) { // Defensive check before using
-            this.gridCellDebounceTimers.forEach(timer => {
-                if (timer) clearTimeout(timer);
-            });
-            this.gridCellDebounceTimers.fill(null);
-        }
+        // Forget tracked touches so anyone still standing retriggers cleanly
+        this.analysis.reset();
         
         // Clear all visual feedback
         const cells = this.performGrid.querySelectorAll('.grid-cell');
@@ -659,9 +1649,41 @@ class AudioRugApp {
         this.debug('Cleared all active sample+effect combinations');
     }
 
+    setupSerialSettings() {
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem('audioRugSerialSettings')) || {};
+        } catch (error) {
+            console.warn('Ignoring unreadable serial settings:', error);
+        }
+
+        const baudRate = BAUD_RATES.includes(saved.baudRate) ? saved.baudRate : this.serialHandler.baudRate;
+        const protocol = SERIAL_PROTOCOLS[saved.protocol] ? saved.protocol : 'auto';
+        this.baudRateSelect.innerHTML = BAUD_RATES.map(rate => `
+            <option value="${rate}" ${rate === baudRate ? 'selected' : ''}>${rate} baud</option>
+        `).join('');
+        this.protocolSelect.innerHTML = Object.entries(SERIAL_PROTOCOLS).map(([id, label]) => `
+            <option value="${id}" ${id === protocol ? 'selected' : ''}>${label}</option>
+        `).join('');
+
+        // Takes effect on the next connect, including automatic reconnects
+        this.serialHandler.baudRate = baudRate;
+        this.analysis.configure({ protocol });
+        const save = () => {
+            this.serialHandler.baudRate = parseInt(this.baudRateSelect.value);
+            this.analysis.configure({ protocol: this.protocolSelect.value });
+            localStorage.setItem('audioRugSerialSettings', JSON.stringify({
+                baudRate: this.serialHandler.baudRate,
+                protocol: this.protocolSelect.value
+            }));
+        };
+        this.baudRateSelect.addEventListener('change', save);
+        this.protocolSelect.addEventListener('change', save);
+    }
+
     async connectArduino() {
         try {
-            await this.serialHandler.connect();
+            await this.serialHandler.connect({ baudRate: parseInt(this.baudRateSelect.value) });
             this.debug('Arduino connected successfully');
         } catch (error) {
             this.debug('Failed to connect to Arduino:', error);
@@ -670,55 +1692,389 @@ class AudioRugApp {
     }
 
     handleConnectionChange(connected) {
+        // The worker parses this connection's bytes from a clean slate and waits for the handshake
+        if (connected) {
+            this.analysis.openSerial();
+        } else {
+            this.analysis.closeSerial();
+        }
+        this.serialProtocol = null;
+        if (!connected) {
+            this.linkValue.textContent = '–';
+            this.linkValue.style.color = '';
+        }
         this.statusText.textContent = connected ? 'Connected' : 'Disconnected';
         this.statusText.style.color = connected ? '#4CAF50' : '#f44336';
         this.connectBtn.textContent = connected ? 'Disconnect' : 'Connect Arduino';
         this.connectBtn.style.background = connected ? '#f44336' : '#4CAF50';
     }
 
-    handleSerialData(pressureMatrix) {
-        // Enhanced debugging for pressure data
-        const totalPressure = pressureMatrix.reduce((sum, val) => sum + val, 0);
-        const avgPressure = totalPressure / 100;
-        const maxPressure = Math.max(...pressureMatrix);
-        const nonZeroCount = pressureMatrix.filter(p => p > 0).length;
-        
+    setupVirtualMat() {
+        this.virtualMat.onDataReceived = (data) => {
+            this.analysis.pushFrame(data, 'virtual');
+            this.renderVirtualMat();
+        };
+
+        this.virtualPatternSelect.innerHTML += Object.entries(VIRTUAL_PATTERNS).map(([id, pattern]) => `
+            <option value="${id}">${pattern.name}</option>
+        `).join('');
+
+        this.virtualMatToggle.addEventListener('click', () => {
+            const isOpen = this.virtualMatPanel.classList.toggle('active');
+            this.virtualMatToggle.textContent = isOpen ? 'Hide Virtual Mat' : 'Virtual Mat';
+            this.renderVirtualMat();
+        });
+        this.virtualMatStartBtn.addEventListener('click', () => this.toggleVirtualMat());
+        this.virtualPressureSlider.addEventListener('input', (e) => {
+            this.virtualPressureValue.textContent = e.target.value;
+        });
+        this.virtualNoiseSlider.addEventListener('input', (e) => {
+            this.virtualMat.noise = parseInt(e.target.value);
+            this.virtualNoiseValue.textContent = e.target.value;
+        });
+        this.virtualPatternSelect.addEventListener('change', (e) => {
+            if (!e.target.value) {
+                this.virtualMat.stopPattern();
+                return;
+            }
+            // Tap patterns aim at the centre of each zone
+            const columns = this.zoneLayout.sensorColumns;
+            const targets = this.zoneLayout.zones.filter(zone => zone.cells.length > 0).map(zone => ({
+                x: zone.cells.reduce((sum, cell) => sum + cell % columns, 0) / zone.cells.length,
+                y: zone.cells.reduce((sum, cell) => sum + Math.floor(cell / columns), 0) / zone.cells.length
+            }));
+            this.virtualMat.playPattern(e.target.value, { targets });
+            if (!this.virtualMat.isRunning) this.toggleVirtualMat();
+            this.debug(`Virtual mat playing: ${VIRTUAL_PATTERNS[e.target.value].name}`);
+        });
+
+        // Every pointer is its own foot, so touchscreens can press several zones at once
+        const toSensor = (e) => {
+            const rect = this.virtualMatCanvas.getBoundingClientRect();
+            return {
+                x: (e.clientX - rect.left) / rect.width * this.virtualMat.columns - 0.5,
+                y: (e.clientY - rect.top) / rect.height * this.virtualMat.rows - 0.5
+            };
+        };
+        const press = (e) => {
+            const pressure = e.pointerType === 'pen' && e.pressure > 0
+                ? e.pressure * 255
+                : parseInt(this.virtualPressureSlider.value);
+            this.virtualMat.setPress(e.pointerId, { ...toSensor(e), pressure, radius: 1 });
+        };
+        this.virtualMatCanvas.addEventListener('pointerdown', (e) => {
+            if (!this.virtualMat.isRunning) this.toggleVirtualMat();
+            this.virtualMatCanvas.setPointerCapture(e.pointerId);
+            press(e);
+        });
+        this.virtualMatCanvas.addEventListener('pointermove', (e) => {
+            if (this.virtualMat.presses.has(e.pointerId)) press(e);
+        });
+        ['pointerup', 'pointercancel'].forEach(type => {
+            this.virtualMatCanvas.addEventListener(type, (e) => this.virtualMat.releasePress(e.pointerId));
+        });
+    }
+
+    // The calibration belonging to whichever live source is feeding frames
+    getLiveCalibrationKey() {
+        if (this.virtualMat.isRunning) return 'virtual';
+        return this.serialHandler.isConnected ? this.serialHandler.getPortKey() : 'default';
+    }
+
+    toggleVirtualMat() {
+        if (this.virtualMat.isRunning) {
+            this.virtualMat.stop();
+            this.virtualPatternSelect.value = '';
+            this.virtualMatStartBtn.textContent = 'Start';
+            this.loadCalibration(this.getLiveCalibrationKey());
+            this.debug('Virtual mat stopped');
+            return;
+        }
+
+        if (this.serialHandler.isConnected) {
+            this.debug('⚠ Virtual mat frames will mix with the connected mat\'s');
+        }
+        // Virtual frames are already clean, so the real mat's calibration must not apply
+        this.loadCalibration('virtual');
+        this.virtualMat.resize(this.zoneLayout.sensorRows, this.zoneLayout.sensorColumns);
+        this.virtualMat.start();
+        this.virtualMatStartBtn.textContent = 'Stop';
+        this.debug(`Virtual mat started (${this.virtualMat.rows}x${this.virtualMat.columns})`);
+    }
+
+    renderVirtualMat() {
+        if (!this.virtualMatPanel.classList.contains('active')) return;
+
+        const { sensorRows, sensorColumns } = this.zoneLayout;
+        const frame = this.virtualMat.lastFrame;
+        this.virtualMatView.render({
+            matrix: frame.length === sensorRows * sensorColumns ? frame : new Array(sensorRows * sensorColumns).fill(0),
+            columns: sensorColumns,
+            rows: sensorRows,
+            zoneMap: this.sensorZoneMap,
+            activeZones: this.gridCellPressureState
+        });
+    }
+
+    handleLinkHealth(health) {
+        const problems = health.malformed + health.corrupt + health.dropped;
+        this.linkValue.textContent = health.stalled
+            ? `stalled (${health.msSinceLastFrame === null ? 'no frames yet' : `${(health.msSinceLastFrame / 1000).toFixed(1)}s since last frame`})`
+            : `${health.fps.toFixed(1)} fps${problems > 0 ? `, ${problems} bad` : ''}`;
+        this.linkValue.style.color = health.stalled ? '#f44336' : (problems > 0 ? '#ff9800' : '#4CAF50');
+        this.renderLinkHealth(health);
+    }
+
+    renderLinkHealth(health) {
+        if (!this.linkHealthPanel.classList.contains('active')) return;
+
+        const info = this.serialHandler.deviceInfo;
+        const ms = value => value === null ? '–' : `${Math.round(value)} ms`;
+        const rows = [
+            ['Connection', this.serialHandler.isConnected ? `${this.serialHandler.baudRate} baud, ${SERIAL_PROTOCOLS[this.serialProtocol] || 'detecting'}` : 'Disconnected'],
+            ['Mat', info.reported ? `${info.id || 'unnamed'} (firmware ${info.firmware || '?'}), ${info.rows}x${info.columns}` : `${info.rows}x${info.columns} (assumed)`],
+            ['Frames received', health.frames],
+            ['Frame rate', `${health.fps.toFixed(1)} fps`],
+            ['Mean interval', ms(health.meanIntervalMs)],
+            ['Jitter', ms(health.jitterMs)],
+            ['Since last frame', ms(health.msSinceLastFrame)],
+            ['Malformed', health.malformed],
+            ['Corrupt (CRC)', health.corrupt],
+            ['Dropped (sequence gaps)', health.dropped],
+            ['Watchdog', health.stalled ? 'Stalled' : 'OK']
+        ];
+        this.linkHealthContent.innerHTML = rows.map(([label, value]) => `
+            <div class="parameter-control">
+                <div class="parameter-label">
+                    <span>${label}</span>
+                    <span class="parameter-value">${value}</span>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    handleReconnectChange({ attempt, delayMs }) {
+        if (delayMs === null) {
+            this.statusText.textContent = this.serialHandler.isConnected ? 'Connected' : 'Disconnected';
+            this.statusText.style.color = this.serialHandler.isConnected ? '#4CAF50' : '#f44336';
+            return;
+        }
+
+        this.statusText.textContent = `Connection lost, reconnecting (attempt ${attempt}, next in ${(delayMs / 1000).toFixed(1)}s)`;
+        this.statusText.style.color = '#ff9800';
+        this.debug(`⚠ Mat connection lost, reconnect attempt ${attempt} in ${delayMs} ms`);
+    }
+
+    // Calibration is per mat, so it loads once the handshake has said which mat this is
+    handleDeviceInfo(info) {
+        this.debug(info.reported
+            ? `Mat '${info.id}' (firmware ${info.firmware}): ${info.rows}x${info.columns} sensors, values ${info.minValue}-${info.maxValue}`
+            : `Mat didn't answer the handshake, assuming ${info.rows}x${info.columns} sensors`);
+        this.applySensorGeometry(info.rows, info.columns);
+        this.loadCalibration(this.serialHandler.getPortKey());
+    }
+
+    applySensorGeometry(rows, columns) {
+        const layout = this.zoneLayout;
+        this.audioEngine.setMatrixSize(rows, columns);
+        this.virtualMat.resize(rows, columns);
+        if (layout.sensorRows === rows && layout.sensorColumns === columns) return;
+
+        // Keep the zone arrangement as far as the new mat allows, carrying samples and thresholds over by index
+        const gridColumns = Math.min(layout.gridColumns, columns);
+        const gridRows = Math.min(Math.ceil(layout.zones.length / layout.gridColumns), rows);
+        const resized = createGridLayout(gridRows, gridColumns, rows, columns);
+        resized.zones.forEach((zone, zoneIndex) => {
+            const previous = layout.zones[zoneIndex];
+            if (previous) {
+                zone.sample = previous.sample;
+                zone.thresholds = previous.thresholds;
+            }
+        });
+
+        this.calibrationWizard = null;
+        this.updateFrameStages();
+        this.applyZoneLayout(resized);
+        if (this.zoneEditor) {
+            this.zoneEditor.layout = cloneLayout(this.zoneLayout);
+            this.zoneEditor.chains = this.gridCellChains.map(chain => chain.map(link => ({ ...link })));
+            this.zoneEditor.selectedZone = 0;
+            this.renderZoneLayoutEditor();
+        }
+        this.debug(`Zone layout rebuilt as ${gridRows}x${gridColumns} zones for the ${rows}x${columns} mat`);
+    }
+
+    setupSessionControls() {
+        this.sessionSpeedSelect.innerHTML = PLAYBACK_SPEEDS.map(speed => `
+            <option value="${speed}" ${speed === 1 ? 'selected' : ''}>${speed}x</option>
+        `).join('');
+
+        this.sessionToggle.addEventListener('click', () => {
+            const isOpen = this.sessionPanel.classList.toggle('active');
+            this.sessionToggle.textContent = isOpen ? 'Hide Sessions' : 'Sessions';
+        });
+        this.recordSessionBtn.addEventListener('click', () => this.toggleSessionRecording());
+        this.saveSessionBtn.addEventListener('click', () => this.saveSession());
+        this.loadSessionInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) this.loadSessionFile(file);
+            e.target.value = '';
+        });
+        this.playSessionBtn.addEventListener('click', () => this.toggleSessionPlayback());
+        this.stopSessionBtn.addEventListener('click', () => this.stopSessionPlayback());
+        this.sessionSpeedSelect.addEventListener('change', () => {
+            this.sessionPlayer?.setSpeed(parseFloat(this.sessionSpeedSelect.value));
+        });
+        this.sessionLoopCheckbox.addEventListener('change', () => {
+            if (this.sessionPlayer) this.sessionPlayer.loop = this.sessionLoopCheckbox.checked;
+        });
+        this.updateSessionStatus();
+    }
+
+    toggleSessionRecording() {
+        if (this.sessionRecorder.isRecording) {
+            this.recordedSession = this.sessionRecorder.stop();
+            this.recordSessionBtn.textContent = 'Record Session';
+            this.debug(`Sensor session recorded: ${this.recordedSession.frames.length} frames`);
+        } else {
+            this.sessionRecorder.start({
+                rows: this.zoneLayout.sensorRows,
+                columns: this.zoneLayout.sensorColumns,
+                device: this.virtualMat.isRunning ? { id: 'virtual' } : this.serialHandler.deviceInfo,
+                calibration: this.calibration.toJSON()
+            });
+            this.recordSessionBtn.textContent = 'Stop Session Recording';
+            this.debug('Recording sensor session');
+        }
+        this.updateFrameStages();
+        this.updateSessionStatus();
+    }
+
+    saveSession() {
+        if (!this.recordedSession) return;
+
+        const blob = new Blob([serializeSession(this.recordedSession)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `sensor-session_${this.recordedSession.recordedAt.slice(0, 19).replace(/:/g, '-')}.json`;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    async loadSessionFile(file) {
+        try {
+            const session = parseSession(await file.text());
+            this.stopSessionPlayback();
+            this.recordedSession = session;
+            this.debug(`Loaded sensor session '${file.name}': ${session.frames.length} frames, ${session.rows}x${session.columns}`);
+        } catch (error) {
+            this.debug(`❌ Could not load sensor session '${file.name}': ${error.message}`);
+        }
+        this.updateSessionStatus();
+    }
+
+    toggleSessionPlayback() {
+        if (this.sessionPlayer?.isPlaying) {
+            this.sessionPlayer.pause();
+            this.updateSessionStatus();
+            return;
+        }
+        if (!this.recordedSession) return;
+
+        if (!this.sessionPlayer || this.sessionPlayer.session !== this.recordedSession) {
+            const session = this.recordedSession;
+            if (this.serialHandler.isConnected || this.virtualMat.isRunning) {
+                this.debug('⚠ Replayed frames will mix with the live mat\'s');
+            }
+
+            // Replay against the geometry and calibration the session was recorded with
+            this.applySensorGeometry(session.rows, session.columns);
+            this.setCalibration(new SensorCalibration(session.calibration || {}));
+            this.sessionPlayer = new SessionPlayer(session, {
+                speed: parseFloat(this.sessionSpeedSelect.value),
+                loop: this.sessionLoopCheckbox.checked
+            });
+            this.sessionPlayer.onFrame = (values) => {
+                this.analysis.pushFrame(values, 'session');
+                this.updateSessionStatus();
+            };
+            this.sessionPlayer.onEnded = () => this.stopSessionPlayback();
+        }
+
+        this.sessionPlayer.play();
+        this.updateSessionStatus();
+    }
+
+    stopSessionPlayback() {
+        if (!this.sessionPlayer) return;
+
+        this.sessionPlayer.stop();
+        this.sessionPlayer = null;
+        this.clearAllActiveEffectsAndSamples();
+        this.loadCalibration(this.getLiveCalibrationKey());
+        this.debug('Sensor session playback stopped');
+        this.updateSessionStatus();
+    }
+
+    updateSessionStatus() {
+        const recorder = this.sessionRecorder;
+        const player = this.sessionPlayer;
+        const seconds = ms => (ms / 1000).toFixed(1);
+
+        this.playSessionBtn.disabled = !this.recordedSession;
+        this.playSessionBtn.textContent = player?.isPlaying ? 'Pause' : 'Play';
+        this.stopSessionBtn.disabled = !player;
+        this.saveSessionBtn.disabled = !this.recordedSession || recorder.isRecording;
+
+        if (recorder.isRecording) {
+            this.sessionStatus.textContent = `Recording: ${recorder.frameCount} frames`;
+        } else if (player) {
+            this.sessionStatus.textContent = `${player.isPlaying ? 'Playing' : 'Paused'}: ${seconds(player.position)} / ${seconds(player.duration)} s`;
+        } else if (this.recordedSession) {
+            const frames = this.recordedSession.frames;
+            this.sessionStatus.textContent = `${frames.length} frames, ${seconds(frames[frames.length - 1]?.t || 0)} s`;
+        } else {
+            this.sessionStatus.textContent = 'No session';
+        }
+    }
+
+    // One frame as analysed by the worker; zone changes for it have already arrived as events
+    handleAnalysisFrame({ source, timestamp, raw, calibrated, filtered, upsampled, matrix, stats, zoneLevels, touches }) {
+        // Stages come only while subscribed, and frames already on their way lack a new subscription
+        if (raw && this.calibrationWizard) {
+            this.captureCalibrationFrame(raw);
+        }
+        // Replayed frames came from a recording already. The worker's timestamp keeps
+        // any delay on this thread out of the recorded timing
+        if (raw && source !== 'session' && this.sessionRecorder.isRecording) {
+            this.sessionRecorder.add(raw, timestamp);
+        }
+        if (calibrated) {
+            this.pressureFrames = { raw, calibrated, filtered, upsampled };
+        }
+        this.latestTouches = touches;
+
         // Update data status to show we're receiving data
         const dataStatus = document.getElementById('dataStatus');
         if (dataStatus) {
-            dataStatus.textContent = `Active Sensors: ${nonZeroCount}`;
-            dataStatus.style.color = nonZeroCount > 0 ? '#4CAF50' : '#ff6b6b';
+            dataStatus.textContent = `Active Sensors: ${stats.activeSensors}`;
+            dataStatus.style.color = stats.activeSensors > 0 ? '#4CAF50' : '#ff6b6b';
         }
         
         // Update connection status visual indicator
         const connectionStatus = document.getElementById('connectionStatus');
         if (connectionStatus) {
-            connectionStatus.classList.toggle('data-flowing', nonZeroCount > 0);
-        }
-        
-        // Calculate overall pressure and center of mass for display
-        let weightedX = 0, weightedY = 0, totalWeight = 0;
-        for (let y = 0; y < 10; y++) {
-            for (let x = 0; x < 10; x++) {
-                const pressure = pressureMatrix[y * 10 + x];
-                if (pressure > 0) {
-                    weightedX += x * pressure;
-                    weightedY += y * pressure;
-                    totalWeight += pressure;
-                }
-            }
+            connectionStatus.classList.toggle('data-flowing', stats.activeSensors > 0);
         }
         
-        const centerX = totalWeight > 0 ? Math.round((weightedX / totalWeight) * 25.5) : 0;
-        const centerY = totalWeight > 0 ? Math.round((weightedY / totalWeight) * 25.5) : 0;
-        
         // Update display
-        this.pressureValue.textContent = Math.round(avgPressure);
-        this.xValue.textContent = centerX;
-        this.yValue.textContent = centerY;
+        this.pressureValue.textContent = Math.round(stats.average);
+        this.xValue.textContent = stats.centerX;
+        this.yValue.textContent = stats.centerY;
         
         // Add visual warning if no pressure detected
-        if (totalPressure === 0) {
+        if (stats.total === 0) {
             this.pressureValue.style.color = '#ff6b6b';
             this.xValue.style.color = '#ff6b6b';
             this.yValue.style.color = '#ff6b6b';
@@ -728,15 +2084,73 @@ class AudioRugApp {
             this.yValue.style.color = '#e0e0e0';
         }
         
+        this.renderHeatmap();
+        
         // Handle recording in RECORD mode
         if (this.currentMode === 'RECORD') {
-            this.handleRecordingPressure(totalPressure);
+            this.handleRecordingPressure(stats.total);
         }
         
-        // Handle grid triggering for PERFORM mode
+        // Handle pressure modulation for PERFORM mode
         if (this.currentMode === 'PERFORM') {
-            this.checkGridCellsForPressure(pressureMatrix);
+            if (zoneLevels) {
+                this.updateZoneLevels(zoneLevels);
+            }
+            if (matrix) {
+                this.applyModulationMatrix(matrix);
+            }
+        }
+    }
+
+    // Asks the analysis for the whole matrices only while something here reads them
+    updateFrameStages() {
+        const stages = new Set();
+        if (this.heatmapPanel.classList.contains('active')) {
+            ['raw', 'calibrated', 'filtered', 'upsampled'].forEach(stage => stages.add(stage));
         }
+        if (this.calibrationWizard || this.sessionRecorder.isRecording) {
+            stages.add('raw');
+        }
+        if (this.currentMode === 'PERFORM' && this.modulationMatrix.routes.length > 0) {
+            stages.add('matrix');
+        }
+
+        const frameStages = Array.from(stages);
+        if (frameStages.join() === this.frameStages.join()) return;
+        this.frameStages = frameStages;
+        this.analysis.configure({ frameStages });
+    }
+
+    toggleHeatmap() {
+        const isOpen = this.heatmapPanel.classList.toggle('active');
+        this.heatmapToggle.textContent = isOpen ? 'Hide Heatmap' : 'Heatmap';
+        this.updateFrameStages();
+        this.renderHeatmap();
+    }
+
+    renderHeatmap() {
+        if (!this.heatmapPanel.classList.contains('active')) return;
+
+        // Overlays always follow what the mappings read; the source only changes the background
+        const layout = this.zoneLayout;
+        const source = this.heatmapSourceSelect.value;
+        const mapped = this.mappingSource === 'unfiltered' ? this.pressureFrames.calibrated : this.pressureFrames.filtered;
+        const sensorCount = layout.sensorRows * layout.sensorColumns;
+        const matrix = mapped.length === sensorCount ? mapped : new Array(sensorCount).fill(0);
+        const background = this.pressureFrames[source];
+
+        this.heatmap.render({
+            matrix,
+            columns: layout.sensorColumns,
+            rows: layout.sensorRows,
+            display: source === 'upsampled'
+                ? background
+                : { values: background?.length === sensorCount ? background : matrix, columns: layout.sensorColumns, rows: layout.sensorRows },
+            zoneMap: this.sensorZoneMap,
+            activeZones: this.gridCellPressureState,
+            thresholds: this.sensorZoneMap.map(zone => this.zoneSettings.zones[zone]?.on ?? Infinity),
+            touches: this.latestTouches
+        });
     }
 
     handleRecordingPressure(totalPressure) {
@@ -792,90 +2206,52 @@ class AudioRugApp {
         }
     }
 
-    checkGridCellsForPressure(pressureMatrix) {
-        // Define the 3x3 grid regions on the 10x10 sensor
-        const gridRegions = [
-            // Grid cell 0 (top-left): sensor x=0-2, y=0-2
-            { minX: 0, maxX: 2, minY: 0, maxY: 2 },
-            // Grid cell 1 (top-center): sensor x=3-5, y=0-2
-            { minX: 3, maxX: 5, minY: 0, maxY: 2 },
-            // Grid cell 2 (top-right): sensor x=6-9, y=0-2
-            { minX: 6, maxX: 9, minY: 0, maxY: 2 },
-            // Grid cell 3 (middle-left): sensor x=0-2, y=3-5
-            { minX: 0, maxX: 2, minY: 3, maxY: 5 },
-            // Grid cell 4 (middle-center): sensor x=3-5, y=3-5
-            { minX: 3, maxX: 5, minY: 3, maxY: 5 },
-            // Grid cell 5 (middle-right): sensor x=6-9, y=3-5
-            { minX: 6, maxX: 9, minY: 3, maxY: 5 },
-            // Grid cell 6 (bottom-left): sensor x=0-2, y=6-9
-            { minX: 0, maxX: 2, minY: 6, maxY: 9 },
-            // Grid cell 7 (bottom-center): sensor x=3-5, y=6-9
-            { minX: 3, maxX: 5, minY: 6, maxY: 9 },
-            // Grid cell 8 (bottom-right): sensor x=6-9, y=6-9
-            { minX: 6, maxX: 9, minY: 6, maxY: 9 }
-        ];
-        
-        // Check each grid region for pressure above threshold
-        gridRegions.forEach((region, gridIndex) => {
-            let maxPressureInRegion = 0;
-            
-            // Check all sensor cells in this grid region
-            for (let y = region.minY; y <= region.maxY; y++) {
-                for (let x = region.minX; x <= region.maxX; x++) {
-                    const pressure = pressureMatrix[y * 10 + x];
-                    maxPressureInRegion = Math.max(maxPressureInRegion, pressure);
-                }
-            }
-            
-            const isPressed = maxPressureInRegion > this.pressureThreshold;
-            const wasPressed = this.gridCellPressureState[gridIndex];
+    updateZoneLevels(zoneLevels) {
+        // Each zone's level is the strongest touch that landed in it, as the analysis measured it
+        if (zoneLevels.length !== this.gridCellPressureLevels.length) return;
+        this.gridCellPressureLevels = zoneLevels;
 
-            // Debounce logic
-            if (this.gridCellDebounceTimers[gridIndex]) {
-                clearTimeout(this.gridCellDebounceTimers[gridIndex]);
+        this.gridCellPressureLevels.forEach((level, gridIndex) => {
+            if (this.gridCellPressureState[gridIndex]) {
+                this.applyPressureModulation(gridIndex, level);
             }
-
-            this.gridCellDebounceTimers[gridIndex] = setTimeout(() => {
-                const currentIsPressed = this.gridCellPressureState[gridIndex];
-                if (isPressed && !currentIsPressed) {
-                    // Rising edge: pressure just went ON
-                    this.gridCellPressureState[gridIndex] = true;
-                    this.handleGridCellPressureChange(gridIndex, true, maxPressureInRegion);
-                    this.debug(`Grid ${gridIndex}: ON (pressure: ${maxPressureInRegion})`);
-                } else if (!isPressed && currentIsPressed) {
-                    // Falling edge: pressure just went OFF
-                    this.gridCellPressureState[gridIndex] = false;
-                    this.handleGridCellPressureChange(gridIndex, false, maxPressureInRegion);
-                    this.debug(`Grid ${gridIndex}: OFF (pressure: ${maxPressureInRegion})`);
-                }
-            }, this.pressureDebounceMs);
         });
     }
 
+    handleZoneChange(gridIndex, isPressed, level) {
+        if (this.gridCellPressureState[gridIndex] === isPressed) return;
+
+        this.gridCellPressureState[gridIndex] = isPressed;
+        this.handleGridCellPressureChange(gridIndex, isPressed, level);
+        this.debug(`Grid ${gridIndex}: ${isPressed ? 'ON' : 'OFF'} (pressure: ${level})`);
+    }
+
     handleGridCellPressureChange(gridIndex, isPressed, pressure) {
         const cell = this.performGrid.children[gridIndex];
         if (!cell) return;
         
         const sampleIndex = parseInt(cell.dataset.sample);
-        const effectName = cell.dataset.effect;
+        const effectChain = this.gridCellChains[gridIndex] || [];
         
         if (isPressed) {
-            this.debug(`Grid cell ${gridIndex} ACTIVATED: pressure=${pressure}, sample=${sampleIndex}, effect=${effectName}`);
+            this.debug(`Grid cell ${gridIndex} ACTIVATED: pressure=${pressure}, sample=${sampleIndex}, effects=${this.formatEffectChain(effectChain)}`);
             
             if (this.currentMode === 'PERFORM') {
-                this.startSampleWithEffect(gridIndex, sampleIndex, effectName);
+                this.startSampleWithEffect(gridIndex, sampleIndex, effectChain);
+                this.startFreezeHold(gridIndex, effectChain);
             }
         } else {
             this.debug(`Grid cell ${gridIndex} DEACTIVATED`);
             
             if (this.currentMode === 'PERFORM') {
+                this.cancelFreezeHold(gridIndex);
                 this.stopSampleWithEffect(gridIndex);
             }
         }
         this.updateGridCellVisual(gridIndex, isPressed, pressure);
     }
 
-    async startSampleWithEffect(gridIndex, sampleIndex, effectName) {
+    async startSampleWithEffect(gridIndex, sampleIndex, effectChain) {
         // Check if we have the sample available
         if (!this.samples[sampleIndex] || !this.samples[sampleIndex].blob) {
             this.debug(`No sample available at index ${sampleIndex} for grid ${gridIndex}`);
@@ -883,42 +2259,315 @@ class AudioRugApp {
             return;
         }
         
-        // Prevent re-triggering if a sample is already playing for this cell
-        if (this.activeSampleSources.has(gridIndex)) {
+        // Prevent re-triggering if a sample is already playing (or starting) for this cell
+        if (this.activeSampleSources.has(gridIndex) || this.pendingSampleStarts.has(gridIndex)) {
             this.debug(`Grid cell ${gridIndex} is already playing a sample.`);
             return;
         }
         
+        // Releasing the cell before the engine finishes replaces or drops this token
+        const start = {};
+        this.pendingSampleStarts.set(gridIndex, start);
+        
         try {
             const sample = this.samples[sampleIndex];
             
+            // Snapshot the chain so later edits don't change what this voice reports
+            const chain = effectChain.map(link => ({ ...link }));
+            
             // Use the new looped sample method from the audio engine
             const success = await this.audioEngine.startLoopedSampleWithEffect(
                 gridIndex,
                 sample.blob,
-                this.effectsEnabled ? effectName : null, // Pass null to disable effects
+                this.effectsEnabled ? chain : null, // Pass null to disable effects
                 1.0 // volume
             );
 
+            // Released while loading: the engine has already dropped the voice
+            if (this.pendingSampleStarts.get(gridIndex) !== start) return;
+            this.pendingSampleStarts.delete(gridIndex);
+
             if (success) {
-                this.activeSampleSources.set(gridIndex, { sampleIndex, effectName });
+                this.activeSampleSources.set(gridIndex, { sampleIndex, effectChain: chain });
+                this.applyPressureModulation(gridIndex, this.gridCellPressureLevels[gridIndex]);
                 this.updateGridCellVisual(gridIndex, true, 0);
-                this.debug(`Started looped sample ${sample.name} with ${this.effectsEnabled ? 'effect ' + effectName : 'no effects'} on grid ${gridIndex}`);
+                this.debug(`Started looped sample ${sample.name} with ${this.effectsEnabled ? this.formatEffectChain(chain) : 'no effects'} on grid ${gridIndex}`);
             } else {
                 throw new Error("Audio engine failed to start looped sample.");
             }
 
         } catch (error) {
+            if (this.pendingSampleStarts.get(gridIndex) === start) {
+                this.pendingSampleStarts.delete(gridIndex);
+            }
             this.debug(`Failed to start sample with effect for grid ${gridIndex}:`, error);
             this.updateGridCellVisual(gridIndex, true, 0, true); // Show error
             this.audioEngine.stopLoopedSampleWithEffect(gridIndex); // Ensure cleanup
         }
     }
 
+    applyPressureModulation(gridIndex, pressure) {
+        // Mouse presses never update the zone levels, so they play unmodulated. The sweep runs
+        // from the zone's release level up, so it stays continuous for as long as the zone is held
+        const off = this.zoneSettings.zones[gridIndex]?.off ?? this.zoneSettings.defaults.off ?? this.pressureThreshold;
+        if (!this.activeSampleSources.has(gridIndex) || pressure <= off) return;
+
+        const amount = Math.min(1, (pressure - off) / (255 - off));
+        const target = this.pressureModulationTarget;
+
+        if (target === 'volume') {
+            this.audioEngine.setVoiceVolume(gridIndex, 0.2 + 0.8 * amount);
+        } else if (target === 'wet') {
+            this.audioEngine.setVoiceWetMix(gridIndex, amount);
+        } else if (target.startsWith('effect:')) {
+            const [, effectName, paramId] = target.split(':');
+            const descriptor = this.audioEngine.getEffectParameterDescriptors(effectName).find(d => d.id === paramId);
+            if (!descriptor) return;
+            this.audioEngine.setVoiceEffectParameter(gridIndex, effectName, paramId, descriptor.min + amount * (descriptor.max - descriptor.min));
+        }
+    }
+
+    setPressureModulationTarget(target) {
+        const previous = this.pressureModulationTarget;
+        this.pressureModulationTarget = target;
+
+        // Put back only what the old target drove, so anything else set on a voice
+        // (a Freezer frozen by holding the cell, say) carries on as it was
+        this.activeSampleSources.forEach((voice, gridIndex) => {
+            this.resetVoiceModulationTarget(gridIndex, previous);
+        });
+        if (this.modulationMatrixContainer) {
+            this.renderModulationMatrix(); // Routes on the new target go inactive
+        }
+        this.debug(`Pressure now controls: ${target}`);
+    }
+
+    resetVoiceModulationTarget(gridIndex, target) {
+        const levels = this.audioEngine.getVoiceLevels(gridIndex);
+        if (!levels) return;
+
+        if (target === 'volume') {
+            this.audioEngine.setVoiceVolume(gridIndex, levels.volume);
+        } else if (target === 'wet') {
+            this.audioEngine.setVoiceWetMix(gridIndex, levels.wetMix);
+        } else if (target.startsWith('effect:')) {
+            const [, effectName, paramId] = target.split(':');
+            const baseValue = this.audioEngine.getVoiceEffectBase(gridIndex, effectName, paramId);
+            if (baseValue === null) return;
+            this.audioEngine.setVoiceEffectParameter(gridIndex, effectName, paramId, baseValue);
+        }
+    }
+
+    renderModulationTargetOptions(selected, includeNone = false) {
+        const baseTargets = [['volume', 'Volume'], ['wet', 'Wet mix']];
+        if (includeNone) baseTargets.unshift(['none', 'Nothing']);
+        const option = (value, label) => `<option value="${value}" ${selected === value ? 'selected' : ''}>${label}</option>`;
+
+        const effectOptions = Object.keys(this.audioEngine.effects).map(effectName => {
+            // Only continuous parameters make sense under a pressure sweep
+            const options = this.audioEngine.getEffectParameterDescriptors(effectName)
+                .filter(descriptor => descriptor.enumValues.length === 0)
+                .map(descriptor => option(`effect:${effectName}:${descriptor.id}`, descriptor.name));
+            return options.length > 0
+                ? `<optgroup label="${this.formatEffectName(effectName)}">${options.join('')}</optgroup>`
+                : '';
+        });
+
+        return baseTargets.map(([value, label]) => option(value, label)).join('') + effectOptions.join('');
+    }
+
+    getModulationTargetRange(target) {
+        if (target === 'volume' || target === 'wet') {
+            return { min: 0, max: 1 };
+        }
+        const [, effectName, paramId] = target.split(':');
+        const descriptor = this.audioEngine.getEffectParameterDescriptors(effectName).find(d => d.id === paramId);
+        return descriptor ? { min: descriptor.min, max: descriptor.max } : { min: 0, max: 1 };
+    }
+
+    renderPressureModulationControl() {
+        return `
+            <div class="effect-control-title">Pressure</div>
+            <div class="parameter-control">
+                <div class="parameter-label"><span>Pressing harder controls</span></div>
+                <select class="preset-select" id="pressureModulationSelect">
+                    ${this.renderModulationTargetOptions(this.pressureModulationTarget, true)}
+                </select>
+            </div>
+        `;
+    }
+
+    applyModulationMatrix(pressureMatrix) {
+        const matrix = this.modulationMatrix;
+        matrix.update(pressureMatrix, this.gridCellPressureLevels, this.pressureThreshold);
+        if (matrix.routes.length === 0) return;
+
+        // Routes act on the playing voices only, so the saved shared settings never drift.
+        // The Pressure control takes precedence: routes on the target it drives are skipped
+        // rather than fighting it for the same parameter every frame
+        this.activeSampleSources.forEach((voice, gridIndex) => {
+            const levels = this.audioEngine.getVoiceLevels(gridIndex);
+            if (!levels) return;
+            matrix.routes.forEach(route => {
+                if (route.target === this.pressureModulationTarget) return;
+                if (route.target === 'volume') {
+                    this.audioEngine.setVoiceVolume(gridIndex, Math.max(0, matrix.apply(route, gridIndex, levels.volume)));
+                } else if (route.target === 'wet') {
+                    this.audioEngine.setVoiceWetMix(gridIndex, Math.max(0, Math.min(1, matrix.apply(route, gridIndex, levels.wetMix))));
+                } else if (route.target.startsWith('effect:')) {
+                    const [, effectName, paramId] = route.target.split(':');
+                    const baseValue = this.audioEngine.getVoiceEffectBase(gridIndex, effectName, paramId);
+                    if (baseValue === null) return;
+                    this.audioEngine.setVoiceEffectParameter(gridIndex, effectName, paramId, matrix.apply(route, gridIndex, baseValue));
+                }
+            });
+        });
+    }
+
+    renderModulationMatrix() {
+        const sourceOptions = selected => Object.entries(MODULATION_SOURCES).map(([value, label]) =>
+            `<option value="${value}" ${selected === value ? 'selected' : ''}>${label}</option>`).join('');
+        const curveOptions = selected => Object.entries(MODULATION_CURVES).map(([value, curve]) =>
+            `<option value="${value}" ${selected === value ? 'selected' : ''}>${curve.name}</option>`).join('');
+
+        const routes = this.modulationMatrix.routes.map(route => `
+            <div class="modulation-route" data-route="${route.id}">
+                <div class="modulation-route-row">
+                    <select class="parameter-select" data-field="source">${sourceOptions(route.source)}</select>
+                    <span>→</span>
+                    <select class="parameter-select" data-field="target">${this.renderModulationTargetOptions(route.target)}</select>
+                    <button class="chain-btn" data-route-action="remove" title="Remove route">×</button>
+                </div>
+                ${route.target === this.pressureModulationTarget ? '<div class="chain-empty">Inactive: the Pressure control already drives this target</div>' : ''}
+                <div class="parameter-label">
+                    <span>Depth</span>
+                    <span class="parameter-value">${Math.round(route.depth * 100)}%</span>
+                </div>
+                <input type="range" class="parameter-slider" data-field="depth" min="-100" max="100" step="1" value="${Math.round(route.depth * 100)}">
+                <div class="modulation-route-row">
+                    <label>Min <input type="number" class="modulation-range" data-field="min" step="any" value="${route.min}"></label>
+                    <label>Max <input type="number" class="modulation-range" data-field="max" step="any" value="${route.max}"></label>
+                    <select class="parameter-select" data-field="curve">${curveOptions(route.curve)}</select>
+                </div>
+            </div>
+        `).join('');
+
+        this.modulationMatrixContainer.innerHTML = `
+            <div class="effect-control-title">Modulation</div>
+            ${routes || '<div class="chain-empty">No routes yet</div>'}
+            <button class="refresh-btn" data-route-action="add">Add route</button>
+        `;
+    }
+
+    setupModulationMatrixControls() {
+        const container = this.modulationMatrixContainer;
+        const routeIdOf = element => parseInt(element.closest('[data-route]').dataset.route);
+
+        container.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-route-action]');
+            if (!button) return;
+
+            if (button.dataset.routeAction === 'add') {
+                this.modulationMatrix.addRoute({ source: 'totalPressure', target: 'wet', ...this.getModulationTargetRange('wet') });
+            } else if (button.dataset.routeAction === 'remove') {
+                this.modulationMatrix.removeRoute(routeIdOf(button));
+            }
+            this.updateFrameStages();
+            this.renderModulationMatrix();
+            this.saveEffectSettings();
+        });
+
+        container.addEventListener('input', (e) => {
+            if (e.target.dataset.field !== 'depth') return;
+            const depth = parseInt(e.target.value) / 100;
+            this.modulationMatrix.updateRoute(routeIdOf(e.target), { depth });
+            e.target.previousElementSibling.querySelector('.parameter-value').textContent = `${Math.round(depth * 100)}%`;
+        });
+
+        container.addEventListener('change', (e) => {
+            const field = e.target.dataset.field;
+            if (!field) return;
+            if (field === 'depth') {
+                this.saveEffectSettings(); // Applied while dragging, saved once on release
+                return;
+            }
+
+            const id = routeIdOf(e.target);
+            if (field === 'target') {
+                // A new target brings its own natural range
+                this.modulationMatrix.updateRoute(id, { target: e.target.value, ...this.getModulationTargetRange(e.target.value) });
+                this.renderModulationMatrix();
+            } else if (field === 'min' || field === 'max') {
+                const value = parseFloat(e.target.value);
+                if (!isNaN(value)) this.modulationMatrix.updateRoute(id, { [field]: value });
+            } else {
+                this.modulationMatrix.updateRoute(id, { [field]: e.target.value });
+            }
+            this.saveEffectSettings();
+        });
+    }
+
+    loadEffectSettings() {
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem('audioRugEffectSettings'));
+        } catch (error) {
+            this.debug('Ignoring unreadable saved effect settings:', error);
+        }
+        if (!saved) return;
+
+        Object.entries(saved.parameters || {}).forEach(([effectName, values]) => {
+            if (!this.audioEngine.effects[effectName]) return;
+            Object.entries(values).forEach(([paramId, value]) => this.audioEngine.setEffectParameter(effectName, paramId, value));
+        });
+        if (saved.pressureModulationTarget) {
+            this.pressureModulationTarget = saved.pressureModulationTarget;
+        }
+        this.modulationMatrix.load(saved.modulationRoutes);
+        this.updateFrameStages();
+        this.debug(`Restored effect settings with ${this.modulationMatrix.routes.length} modulation routes`);
+    }
+
+    saveEffectSettings() {
+        const parameters = {};
+        Object.keys(this.audioEngine.effects).forEach(effectName => {
+            parameters[effectName] = {};
+            this.audioEngine.getEffectParameterDescriptors(effectName).forEach(descriptor => {
+                parameters[effectName][descriptor.id] = this.audioEngine.getEffectParameter(effectName, descriptor.id);
+            });
+        });
+
+        localStorage.setItem('audioRugEffectSettings', JSON.stringify({
+            parameters,
+            pressureModulationTarget: this.pressureModulationTarget,
+            modulationRoutes: this.modulationMatrix.toJSON()
+        }));
+    }
+
+    startFreezeHold(gridIndex, effectChain) {
+        this.cancelFreezeHold(gridIndex);
+        if (!this.effectsEnabled || !effectChain.some(link => link.effectName === 'freezer')) return;
+
+        const timer = setTimeout(() => {
+            this.freezeHoldTimers.delete(gridIndex);
+            if (this.audioEngine.setVoiceEffectParameter(gridIndex, 'freezer', 'freeze', 1)) {
+                this.debug(`Grid ${gridIndex}: spectrum frozen while held`);
+            }
+        }, this.freezeHoldMs);
+        this.freezeHoldTimers.set(gridIndex, timer);
+    }
+
+    cancelFreezeHold(gridIndex) {
+        clearTimeout(this.freezeHoldTimers.get(gridIndex));
+        this.freezeHoldTimers.delete(gridIndex);
+    }
+
     stopSampleWithEffect(gridIndex) {
-        if (this.activeSampleSources.has(gridIndex)) {
+        // A start still loading is cancelled too, so it can't begin looping after the release
+        if (this.activeSampleSources.has(gridIndex) || this.pendingSampleStarts.has(gridIndex)) {
              this.audioEngine.stopLoopedSampleWithEffect(gridIndex);
              this.activeSampleSources.delete(gridIndex);
+             this.pendingSampleStarts.delete(gridIndex);
         }
         this.debug(`Cleaned up tracking for grid ${gridIndex}`);
     }
@@ -1319,7 +2968,7 @@ class AudioRugApp {
     }
 
     testRandomEffect() {
-        const effects = Object.keys(this.audioEngine.rnboEffects);
+        const effects = Object.keys(this.audioEngine.effects);
         if (effects.length > 0) {
             const randomEffect = effects[Math.floor(Math.random() * effects.length)];
             this.debug(`🧪 Testing random effect: ${randomEffect}`);
@@ -1331,7 +2980,7 @@ class AudioRugApp {
 
     debugEffects() {
         this.debug('🎛️ Forcing all effects ON for 2 seconds for debugging...');
-        const effects = Object.keys(this.audioEngine.rnboEffects);
+        const effects = Object.keys(this.audioEngine.effects);
         effects.forEach(effect => this.audioEngine.applyEffect(effect, true));
 
         setTimeout(() => {
@@ -1341,110 +2990,167 @@ class AudioRugApp {
     }
 
     setupEffectsControls() {
-        const effectsConfig = {
-            pitchshifter: {
-                name: 'Pitch Shifter',
-                params: [
-                    { id: 'delay1', name: 'High Pitch Delay', min: 0.005, max: 0.05, step: 0.001, unit: 's' },
-                    { id: 'delay2', name: 'Low Pitch Delay', min: 0.05, max: 0.2, step: 0.001, unit: 's' },
-                    { id: 'feedback1', name: 'High Feedback', min: 0, max: 0.8, step: 0.01, unit: '' },
-                    { id: 'feedback2', name: 'Low Feedback', min: 0, max: 0.8, step: 0.01, unit: '' },
-                    { id: 'output', name: 'Output Level', min: 0, max: 3, step: 0.1, unit: '' }
-                ]
-            },
-            ringmod: {
-                name: 'Ring Modulator',
-                params: [
-                    { id: 'frequency', name: 'Modulator Frequency', min: 1, max: 500, step: 1, unit: 'Hz' },
-                    { id: 'depth', name: 'Modulation Depth', min: 0, max: 1, step: 0.01, unit: '' },
-                    { id: 'output', name: 'Output Level', min: 0, max: 2, step: 0.1, unit: '' }
-                ]
-            },
-            freezer: {
-                name: 'Freezer (Reverb)',
-                params: [
-                    { id: 'output', name: 'Reverb Level', min: 0, max: 2, step: 0.1, unit: '' }
-                ]
-            },
-            vibrato: {
-                name: 'Vibrato',
-                params: [
-                    { id: 'rate', name: 'Vibrato Rate', min: 0.1, max: 20, step: 0.1, unit: 'Hz' },
-                    { id: 'depth', name: 'Vibrato Depth', min: 0, max: 0.02, step: 0.001, unit: 's' },
-                    { id: 'output', name: 'Output Level', min: 0, max: 2, step: 0.1, unit: '' }
-                ]
-            },
-            filterdelay: {
-                name: 'Filter Delay',
-                params: [
-                    { id: 'frequency', name: 'Filter Frequency', min: 100, max: 10000, step: 100, unit: 'Hz' },
-                    { id: 'delayTime', name: 'Delay Time', min: 0.01, max: 1, step: 0.01, unit: 's' },
-                    { id: 'feedback', name: 'Feedback', min: 0, max: 0.8, step: 0.01, unit: '' },
-                    { id: 'output', name: 'Output Level', min: 0, max: 2, step: 0.1, unit: '' }
-                ]
-            },
-            octaver: {
-                name: 'Octaver',
-                params: [
-                    { id: 'frequency', name: 'Filter Frequency', min: 200, max: 2000, step: 50, unit: 'Hz' },
-                    { id: 'output', name: 'Output Level', min: 0, max: 2, step: 0.1, unit: '' }
-                ]
-            }
-        };
-
         this.effectsControlContent.innerHTML = '';
         
-        Object.entries(effectsConfig).forEach(([effectName, config]) => {
+        const modulationDiv = document.createElement('div');
+        modulationDiv.className = 'effect-control-group';
+        modulationDiv.innerHTML = this.renderPressureModulationControl();
+        this.effectsControlContent.appendChild(modulationDiv);
+        modulationDiv.querySelector('select').addEventListener('change', (e) => {
+            this.setPressureModulationTarget(e.target.value);
+            this.saveEffectSettings();
+        });
+
+        this.modulationMatrixContainer = document.createElement('div');
+        this.modulationMatrixContainer.className = 'effect-control-group';
+        this.effectsControlContent.appendChild(this.modulationMatrixContainer);
+        this.renderModulationMatrix();
+        this.setupModulationMatrixControls();
+
+        Object.keys(this.audioEngine.effects).forEach(effectName => {
+            const descriptors = this.audioEngine.getEffectParameterDescriptors(effectName);
+            const presets = this.audioEngine.getEffectPresets(effectName);
+
             const groupDiv = document.createElement('div');
             groupDiv.className = 'effect-control-group';
             groupDiv.innerHTML = `
-                <div class="effect-control-title" data-effect="${effectName}">${config.name}</div>
-                ${config.params.map(param => `
+                <div class="effect-control-title" data-effect="${effectName}">${this.formatEffectName(effectName)}</div>
+                ${presets.length > 0 ? `
                     <div class="parameter-control">
-                        <div class="parameter-label">
-                            <span>${param.name}</span>
-                            <span class="parameter-value" id="${effectName}-${param.id}-value">
-                                ${this.audioEngine.getEffectParameter(effectName, param.id)}${param.unit}
-                            </span>
-                        </div>
-                        <input type="range" 
-                               class="parameter-slider" 
-                               id="${effectName}-${param.id}-slider"
-                               min="${param.min}" 
-                               max="${param.max}" 
-                               step="${param.step}"
-                               value="${this.audioEngine.getEffectParameter(effectName, param.id)}"
-                               data-effect="${effectName}"
-                               data-param="${param.id}"
-                               data-unit="${param.unit}">
+                        <div class="parameter-label"><span>Preset</span></div>
+                        <select class="preset-select" data-effect="${effectName}">
+                            <option value="">Choose preset...</option>
+                            ${presets.map(name => `<option value="${name}">${name}</option>`).join('')}
+                        </select>
                     </div>
-                `).join('')}
+                ` : ''}
+                ${descriptors.map(descriptor => this.renderParameterControl(effectName, descriptor)).join('')}
             `;
             this.effectsControlContent.appendChild(groupDiv);
         });
 
-        // Add event listeners for all sliders
+        // Sliders apply continuously and save on release; selects and toggles do both on change
+        const onParameterInput = (e) => {
+            const control = e.target.closest('[data-param]');
+            if (!control) return;
+
+            const effect = control.dataset.effect;
+            const param = control.dataset.param;
+            const value = control.type === 'checkbox' ? (control.checked ? 1 : 0) : parseFloat(control.value);
+            
+            // Update the audio engine parameter
+            this.audioEngine.setEffectParameter(effect, param, value);
+            this.updateEffectControlValue(effect, param, value);
+            
+            this.debug(`Updated ${effect} ${param} to ${this.formatParameterValue(effect, param, value)}`);
+        };
         this.effectsControlContent.querySelectorAll('.parameter-slider').forEach(slider => {
-            slider.addEventListener('input', (e) => {
+            slider.addEventListener('input', onParameterInput);
+            slider.addEventListener('change', () => this.saveEffectSettings());
+        });
+        this.effectsControlContent.querySelectorAll('.parameter-select, .parameter-toggle input').forEach(control => {
+            control.addEventListener('change', (e) => {
+                onParameterInput(e);
+                this.saveEffectSettings();
+            });
+        });
+
+        this.effectsControlContent.querySelectorAll('.preset-select[data-effect]').forEach(select => {
+            select.addEventListener('change', (e) => {
                 const effect = e.target.dataset.effect;
-                const param = e.target.dataset.param;
-                const unit = e.target.dataset.unit;
-                const value = parseFloat(e.target.value);
-                
-                // Update the display value
-                const valueDisplay = document.getElementById(`${effect}-${param}-value`);
-                if (valueDisplay) {
-                    valueDisplay.textContent = `${value}${unit}`;
-                }
-                
-                // Update the audio engine parameter
-                this.audioEngine.setEffectParameter(effect, param, value);
-                
-                this.debug(`Updated ${effect} ${param} to ${value}${unit}`);
+                const presetName = e.target.value;
+                if (!presetName) return;
+
+                this.audioEngine.applyEffectPreset(effect, presetName);
+                this.saveEffectSettings();
+                this.debug(`🎛️ Loaded ${effect} preset: ${presetName}`);
             });
         });
     }
 
+    isToggleParameter(descriptor) {
+        // RNBO exports on/off switches as two-step enums labelled '0'/'1'
+        return descriptor.steps === 2 && (descriptor.unit === 'On/Off' || descriptor.enumValues.join() === '0,1');
+    }
+
+    renderParameterControl(effectName, descriptor) {
+        const value = this.audioEngine.getEffectParameter(effectName, descriptor.id);
+        const controlId = `${effectName}-${descriptor.id}-control`;
+        const dataAttributes = `data-effect="${effectName}" data-param="${descriptor.id}"`;
+        let control;
+
+        if (this.isToggleParameter(descriptor)) {
+            control = `
+                <label class="parameter-toggle">
+                    <input type="checkbox" id="${controlId}" ${dataAttributes} ${value >= 0.5 ? 'checked' : ''}>
+                    <span>${descriptor.name}</span>
+                </label>`;
+            return `<div class="parameter-control">${control}</div>`;
+        }
+
+        if (descriptor.enumValues.length > 0) {
+            control = `
+                <select class="parameter-select" id="${controlId}" ${dataAttributes}>
+                    ${descriptor.enumValues.map((label, index) => `
+                        <option value="${descriptor.min + index}" ${Math.round(value) === descriptor.min + index ? 'selected' : ''}>${label}</option>
+                    `).join('')}
+                </select>`;
+        } else {
+            // Continuous parameters without an explicit step get 100 increments
+            const step = descriptor.step
+                || (descriptor.steps > 1 ? (descriptor.max - descriptor.min) / (descriptor.steps - 1) : (descriptor.max - descriptor.min) / 100);
+            control = `
+                <input type="range" 
+                       class="parameter-slider" 
+                       id="${controlId}"
+                       min="${descriptor.min}" 
+                       max="${descriptor.max}" 
+                       step="${step}"
+                       value="${value}"
+                       ${dataAttributes}>`;
+        }
+
+        return `
+            <div class="parameter-control">
+                <div class="parameter-label">
+                    <span>${descriptor.name}</span>
+                    <span class="parameter-value" id="${effectName}-${descriptor.id}-value">
+                        ${this.formatParameterValue(effectName, descriptor.id, value)}
+                    </span>
+                </div>
+                ${control}
+            </div>
+        `;
+    }
+
+    formatParameterValue(effectName, paramId, value) {
+        const descriptor = this.audioEngine.getEffectParameterDescriptors(effectName).find(d => d.id === paramId);
+        if (!descriptor) return `${value}`;
+
+        if (descriptor.enumValues.length > 0 && !this.isToggleParameter(descriptor)) {
+            return descriptor.enumValues[Math.round(value) - descriptor.min] ?? `${value}`;
+        }
+        return `${Math.round(value * 1000) / 1000}${descriptor.unit}`;
+    }
+
+    updateEffectControlValue(effectName, paramId, value) {
+        const control = document.getElementById(`${effectName}-${paramId}-control`);
+        const valueDisplay = document.getElementById(`${effectName}-${paramId}-value`);
+
+        if (control) {
+            if (control.type === 'checkbox') {
+                control.checked = value >= 0.5;
+            } else if (control.tagName === 'SELECT') {
+                control.value = Math.round(value);
+            } else {
+                control.value = value;
+            }
+        }
+        if (valueDisplay) {
+            valueDisplay.textContent = this.formatParameterValue(effectName, paramId, value);
+        }
+    }
+
     updateEffectsControlDisplay() {
         // Update the visual state of effect controls based on active effects
         const effectTitles = this.effectsControlContent.querySelectorAll('.effect-control-title');
@@ -1454,18 +3160,19 @@ class AudioRugApp {
             title.classList.toggle('active', isActive);
         });
 
-        // Update slider states
-        const sliders = this.effectsControlContent.querySelectorAll('.parameter-slider');
-        sliders.forEach(slider => {
-            const effectName = slider.dataset.effect;
+        // Update control states
+        const controls = this.effectsControlContent.querySelectorAll('.parameter-slider, .parameter-select, .parameter-toggle');
+        controls.forEach(control => {
+            const effectName = control.dataset.effect || control.querySelector('[data-effect]')?.dataset.effect;
             const isActive = this.audioEngine.isEffectActive(effectName);
-            slider.classList.toggle('active', isActive);
+            control.classList.toggle('active', isActive);
         });
     }
 
     resetAllEffects() {
         if (confirm('Reset all effect parameters to default values?')) {
             this.audioEngine.resetAllEffectParameters();
+            this.saveEffectSettings();
             this.setupEffectsControls();
             this.debug('All effect parameters reset to defaults');
         }
@@ -1481,11 +3188,11 @@ class AudioRugApp {
         // Stop all currently playing samples and restart them with new effects state
         const activeCells = Array.from(this.activeSampleSources.keys());
         activeCells.forEach(gridIndex => {
-            const { sampleIndex, effectName } = this.activeSampleSources.get(gridIndex);
+            const { sampleIndex, effectChain } = this.activeSampleSources.get(gridIndex);
             this.stopSampleWithEffect(gridIndex);
             // Small delay to ensure clean restart
             setTimeout(() => {
-                this.startSampleWithEffect(gridIndex, sampleIndex, effectName);
+                this.startSampleWithEffect(gridIndex, sampleIndex, effectChain);
             }, 50);
         });
         
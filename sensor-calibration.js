@@ -0,0 +1,93 @@
+/**
+ * Per-sensor calibration: an empty-mat baseline, a full-press reading and a
+ * mask of broken sensors, applied to every raw frame before anything else
+ * looks at it. Plain data in and out so it can be saved per mat.
+ */
+
+// Sensors whose press barely rises above their baseline can't be scaled meaningfully
+const MIN_SPAN = 10;
+
+export class SensorCalibration {
+    constructor({ baseline = [], fullScale = [], masked = [] } = {}) {
+        this.baseline = baseline;
+        this.fullScale = fullScale;
+        this.masked = new Set(masked);
+    }
+
+    get isCalibrated() {
+        return this.baseline.length > 0;
+    }
+
+    apply(rawMatrix) {
+        return rawMatrix.map((raw, index) => {
+            if (this.masked.has(index)) return 0;
+
+            const baseline = this.baseline[index] ?? 0;
+            const span = (this.fullScale[index] ?? 255) - baseline;
+            const normalized = span >= MIN_SPAN ? (raw - baseline) * 255 / span : raw - baseline;
+            return Math.max(0, Math.min(255, Math.round(normalized)));
+        });
+    }
+
+    toJSON() {
+        return {
+            baseline: this.baseline,
+            fullScale: this.fullScale,
+            masked: Array.from(this.masked).sort((a, b) => a - b)
+        };
+    }
+}
+
+// Running per-sensor statistics over the frames of one calibration step
+export class CalibrationCapture {
+    constructor(sensorCount) {
+        this.frames = 0;
+        this.sum = new Array(sensorCount).fill(0);
+        this.sumSquares = new Array(sensorCount).fill(0);
+        this.max = new Array(sensorCount).fill(0);
+    }
+
+    add(frame) {
+        frame.forEach((value, index) => {
+            this.sum[index] += value;
+            this.sumSquares[index] += value * value;
+            this.max[index] = Math.max(this.max[index], value);
+        });
+        this.frames++;
+    }
+
+    get mean() {
+        return this.sum.map(total => this.frames > 0 ? total / this.frames : 0);
+    }
+
+    get noise() {
+        return this.sum.map((total, index) => {
+            if (this.frames === 0) return 0;
+            const mean = total / this.frames;
+            return Math.sqrt(Math.max(0, this.sumSquares[index] / this.frames - mean * mean));
+        });
+    }
+}
+
+// Dead sensors never rise, hot ones sit high with nobody on the mat, noisy ones jitter at rest
+export function suggestMaskedSensors(baselineCapture, pressCapture, { minSpan = 40, maxBaseline = 128, maxNoise = 20 } = {}) {
+    const mean = baselineCapture.mean;
+    const noise = baselineCapture.noise;
+    const masked = [];
+
+    mean.forEach((baseline, index) => {
+        const span = pressCapture.max[index] - baseline;
+        if (span < minSpan || baseline > maxBaseline || noise[index] > maxNoise) {
+            masked.push(index);
+        }
+    });
+    return masked;
+}
+
+export function createCalibration(baselineCapture, pressCapture, masked = []) {
+    return new SensorCalibration({
+        baseline: baselineCapture.mean.map(value => Math.round(value)),
+        fullScale: pressCapture.max,
+        masked
+    });
+}
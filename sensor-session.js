@@ -0,0 +1,159 @@
+/**
+ * Sensor sessions: every raw frame of a performance with its time offset,
+ * saved as JSON so it can be replayed through the pressure pipeline later.
+ *
+ * File shape:
+ *   { version, recordedAt, rows, columns, device, calibration, frames: [{ t, values }] }
+ * `t` is milliseconds since the first frame; `calibration` is the
+ * SensorCalibration that was active, so a replay reads the mat the same way.
+ */
+
+export const SESSION_VERSION = 1;
+
+export const PLAYBACK_SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+export class SessionRecorder {
+    constructor() {
+        this.session = null;
+        this.startTime = null;
+    }
+
+    get isRecording() {
+        return this.session !== null;
+    }
+
+    get frameCount() {
+        return this.session?.frames.length || 0;
+    }
+
+    start({ rows, columns, device = null, calibration = null }) {
+        this.session = {
+            version: SESSION_VERSION,
+            recordedAt: new Date().toISOString(),
+            rows,
+            columns,
+            device,
+            calibration,
+            frames: []
+        };
+        this.startTime = null;
+    }
+
+    add(values, timestamp = performance.now()) {
+        if (!this.session) return;
+        this.startTime ??= timestamp;
+        this.session.frames.push({ t: Math.round(timestamp - this.startTime), values: [...values] });
+    }
+
+    stop() {
+        const session = this.session;
+        this.session = null;
+        return session;
+    }
+}
+
+export function serializeSession(session) {
+    return JSON.stringify(session);
+}
+
+// Throws if the text isn't a session this version can replay
+export function parseSession(text) {
+    const session = JSON.parse(text);
+    if (session?.version !== SESSION_VERSION) {
+        throw new Error(`Unsupported session version: ${session?.version}`);
+    }
+
+    const sensorCount = session.rows * session.columns;
+    if (!(sensorCount > 0) || !Array.isArray(session.frames)) {
+        throw new Error('Session has no sensor geometry or frames');
+    }
+    if (session.frames.some(frame => !Number.isFinite(frame.t) || frame.values?.length !== sensorCount)) {
+        throw new Error(`Session frames must each have a time and ${sensorCount} values`);
+    }
+    return session;
+}
+
+/**
+ * Feeds a session's frames to onFrame at their recorded spacing divided by
+ * `speed`. Speed can change mid-play; position is kept as session time.
+ */
+export class SessionPlayer {
+    constructor(session, { speed = 1, loop = false } = {}) {
+        this.session = session;
+        this.speed = speed;
+        this.loop = loop;
+
+        this.index = 0;
+        this.timer = null;
+        this.pendingGap = 0; // Session ms the pending timer covers, and when it was set
+        this.scheduledAt = 0;
+        this.onFrame = null;
+        this.onEnded = null;
+    }
+
+    get isPlaying() {
+        return this.timer !== null;
+    }
+
+    get duration() {
+        const frames = this.session.frames;
+        return frames.length > 0 ? frames[frames.length - 1].t : 0;
+    }
+
+    get position() {
+        return this.session.frames[Math.min(this.index, this.session.frames.length - 1)]?.t || 0;
+    }
+
+    play() {
+        if (this.timer || this.session.frames.length === 0) return;
+        if (this.index >= this.session.frames.length) this.index = 0;
+        this.scheduleNext(0);
+    }
+
+    pause() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    stop() {
+        this.pause();
+        this.index = 0;
+    }
+
+    // The wait under way is rescheduled, so what's left of it plays at the new speed
+    setSpeed(speed) {
+        const remaining = this.pendingGap - (performance.now() - this.scheduledAt) * this.speed;
+        this.speed = speed;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.scheduleNext(remaining);
+        }
+    }
+
+    scheduleNext(gapMs) {
+        this.pendingGap = Math.max(0, gapMs);
+        this.scheduledAt = performance.now();
+        this.timer = setTimeout(() => this.step(), this.pendingGap / this.speed);
+    }
+
+    step() {
+        const frames = this.session.frames;
+        const frame = frames[this.index];
+        if (this.onFrame) {
+            this.onFrame(frame.values, frame);
+        }
+        this.index++;
+
+        if (this.index < frames.length) {
+            this.scheduleNext(frames[this.index].t - frame.t);
+        } else if (this.loop) {
+            this.index = 0;
+            this.scheduleNext(0);
+        } else {
+            this.timer = null;
+            if (this.onEnded) {
+                this.onEnded();
+            }
+        }
+    }
+}
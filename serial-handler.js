@@ -1,16 +1,38 @@
+import { HANDSHAKE_REQUEST, DEFAULT_DEVICE_INFO } from './serial-protocol.js';
+
 export class SerialHandler {
     constructor() {
         this.port = null;
         this.reader = null;
         this.writer = null;
         this.isConnected = false;
-        this.onDataReceived = null;
+        this.onBytesReceived = null; // Raw chunks as read; SerialParser turns them into frames
         this.onConnectionChange = null;
-        this.readBuffer = '';
         this.keepReading = false;
+        this.baudRate = 9600;
+
+        // The mat's handshake reply, as parsed from the stream; names the port for calibrations
+        this.deviceInfo = { ...DEFAULT_DEVICE_INFO };
+
+        // A lost mat is reopened from the ports the browser already granted, backing off between attempts
+        this.autoReconnect = true;
+        this.knownPortInfo = null; // getInfo() of the last port we opened
+        this.userDisconnected = false;
+        this.reconnectAttempt = 0;
+        this.reconnectTimer = null;
+        this.reconnectBaseDelayMs = 500;
+        this.reconnectMaxDelayMs = 10000;
+        this.onReconnectChange = null;
+
+        if ('serial' in navigator) {
+            navigator.serial.addEventListener('connect', (e) => this.handlePortConnected(e.target));
+            navigator.serial.addEventListener('disconnect', (e) => {
+                if (e.target === this.port) this.handleDisconnection();
+            });
+        }
     }
 
-    async connect() {
+    async connect({ baudRate = this.baudRate } = {}) {
         try {
             // Check if Web Serial API is supported
             if (!('serial' in navigator)) {
@@ -18,176 +40,227 @@ export class SerialHandler {
             }
 
             // Request a port
-            this.port = await navigator.serial.requestPort();
-            
-            // Open the port
+            this.cancelReconnect();
+            const port = await navigator.serial.requestPort();
+            this.baudRate = baudRate;
+            await this.openPort(port);
+        } catch (error) {
+            console.error('Failed to connect to Arduino:', error);
+            throw error;
+        }
+    }
+
+    async openPort(port) {
+        this.port = port;
+        this.deviceInfo = { ...DEFAULT_DEVICE_INFO };
+
+        try {
             await this.port.open({
-                baudRate: 9600,
+                baudRate: this.baudRate,
                 dataBits: 8,
                 stopBits: 1,
                 parity: 'none'
             });
 
-            this.isConnected = true;
-            this.keepReading = true;
-            
-            // Start reading
-            this.startReading();
-            
-            if (this.onConnectionChange) {
-                this.onConnectionChange(true);
-            }
-            
-            console.log('Connected to Arduino');
         } catch (error) {
-            console.error('Failed to connect to Arduino:', error);
+            this.port = null;
             throw error;
         }
+
+        this.isConnected = true;
+        this.keepReading = true;
+        this.userDisconnected = false;
+        this.knownPortInfo = port.getInfo?.() || {};
+        this.reconnectAttempt = 0;
+
+        // Listeners hear about the new port before its first bytes arrive
+        if (this.onConnectionChange) {
+            this.onConnectionChange(true);
+        }
+
+        // Start reading, then ask the mat what it is
+        this.startReading();
+        this.sendData(HANDSHAKE_REQUEST);
+        
+        console.log(`Connected to Arduino at ${this.baudRate} baud`);
+    }
+
+    matchesKnownPort(port) {
+        const known = this.knownPortInfo;
+        if (!known?.usbVendorId) return true;
+        const info = port.getInfo?.() || {};
+        return info.usbVendorId === known.usbVendorId && info.usbProductId === known.usbProductId;
+    }
+
+    // Opens a previously granted port without prompting; false if none is available or it won't open
+    async connectToKnownPort() {
+        if (!('serial' in navigator) || this.isConnected) return this.isConnected;
+
+        const ports = await navigator.serial.getPorts();
+        const port = ports.find(candidate => this.matchesKnownPort(candidate));
+        if (!port) return false;
+
+        try {
+            await this.openPort(port);
+            return true;
+        } catch (error) {
+            console.warn('Could not open known port:', error.message);
+            return false;
+        }
+    }
+
+    scheduleReconnect() {
+        if (this.reconnectTimer || this.isConnected) return;
+
+        this.reconnectAttempt++;
+        const delayMs = Math.min(this.reconnectMaxDelayMs, this.reconnectBaseDelayMs * 2 ** (this.reconnectAttempt - 1));
+        console.log(`Reconnect attempt ${this.reconnectAttempt} in ${delayMs} ms`);
+        this.notifyReconnect(delayMs);
+
+        this.reconnectTimer = setTimeout(async () => {
+            this.reconnectTimer = null;
+            if (this.userDisconnected || this.isConnected) return;
+            if (!(await this.connectToKnownPort())) {
+                this.scheduleReconnect();
+            }
+        }, delayMs);
+    }
+
+    // A granted port being plugged back in is worth trying straight away
+    handlePortConnected(port) {
+        if (this.isConnected || this.userDisconnected || this.reconnectAttempt === 0 || !this.matchesKnownPort(port)) return;
+
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.openPort(port).catch(error => {
+            console.warn('Reopening replugged port failed:', error.message);
+            this.scheduleReconnect();
+        });
+    }
+
+    cancelReconnect() {
+        const wasReconnecting = this.reconnectAttempt > 0;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.reconnectAttempt = 0;
+        if (wasReconnecting) this.notifyReconnect(null);
+    }
+
+    // delayMs is null once we've stopped trying
+    notifyReconnect(delayMs) {
+        if (this.onReconnectChange) {
+            this.onReconnectChange({ attempt: this.reconnectAttempt, delayMs });
+        }
     }
 
     async disconnect() {
+        this.userDisconnected = true;
+        this.cancelReconnect();
         if (!this.port) return;
 
         this.keepReading = false;
+        await this.releasePort(this.port, this.reader, this.writer);
+
+        this.port = null;
+        this.writer = null;
+        this.handleDisconnection();
+        console.log('Disconnected from Arduino');
+    }
 
-        if (this.reader) {
+    // A port only closes once neither of its streams is locked, so the reader and writer go first
+    async releasePort(port, reader, writer) {
+        if (reader) {
             try {
-                await this.reader.cancel();
+                await reader.cancel();
+                reader.releaseLock();
             } catch (error) {
                 console.warn('Error cancelling reader on disconnect:', error.message);
             }
         }
-        
-        if (this.port.writable) {
+
+        if (port.writable) {
             try {
-                const writer = this.port.writable.getWriter();
-                writer.releaseLock();
+                (writer || port.writable.getWriter()).releaseLock();
             } catch (error) {
-                 console.warn('Error releasing writer on disconnect:', error.message);
+                console.warn('Error releasing writer on disconnect:', error.message);
             }
         }
 
         try {
-            await this.port.close();
+            await port.close();
+            return true;
         } catch (error) {
             console.error('Error closing port on disconnect:', error.message);
+            return false;
         }
-
-        this.port = null;
-        this.handleDisconnection();
-        console.log('Disconnected from Arduino');
     }
 
     handleDisconnection() {
         if (!this.isConnected) return;
 
         console.warn('Device connection lost or closed.');
+        const lostPort = this.port;
+        const lostReader = this.reader;
+        const lostWriter = this.writer;
         this.isConnected = false;
         this.keepReading = false;
         this.port = null;
         this.reader = null;
+        this.writer = null;
 
         if (this.onConnectionChange) {
             this.onConnectionChange(false);
         }
+
+        if (!this.userDisconnected && this.autoReconnect && lostPort) {
+            // Release the dead port so the same device can be reopened when it comes back
+            this.releasePort(lostPort, lostReader, lostWriter).then(closed => {
+                if (!closed) {
+                    console.warn('⚠ Lost port could not be closed; reconnecting may fail until the mat is replugged');
+                }
+                this.scheduleReconnect();
+            });
+        }
     }
 
     async startReading() {
-        const textDecoder = new TextDecoderStream();
-        const readableStreamClosed = this.port.readable.pipeTo(textDecoder.writable);
-        readableStreamClosed.catch(error => {
-            if (error.name === 'NetworkError') {
-                console.error('Device lost:', error);
-                this.handleDisconnection();
-            } else {
-                console.error('Read pipe error:', error);
-            }
-        });
-
-        this.reader = textDecoder.readable.getReader();
+        // Bytes are handed on untouched: parsing happens off the UI thread, in the analysis worker.
+        // Locals keep a stale loop from touching a port that has since been reopened
+        const port = this.port;
+        const reader = port.readable.getReader();
+        this.reader = reader;
 
         try {
-            while (this.port && this.port.readable && this.keepReading) {
-                const { value, done } = await this.reader.read();
+            while (this.port === port && port.readable && this.keepReading) {
+                const { value, done } = await reader.read();
                 if (done) {
                     break;
                 }
-                this.processIncomingData(value);
+                if (this.onBytesReceived) {
+                    this.onBytesReceived(value);
+                }
             }
         } catch (error) {
             console.error('Error in serial read loop:', error);
-            if (error.name === 'NetworkError') {
-                this.handleDisconnection();
-            }
         } finally {
-            if (this.reader) {
-                this.reader.releaseLock();
+            reader.releaseLock();
+            if (this.reader === reader) {
                 this.reader = null;
             }
         }
-    }
 
-    processIncomingData(data) {
-        // Add new data to buffer
-        this.readBuffer += data;
-        
-        // Process complete lines
-        let lines = this.readBuffer.split('\n');
-        this.readBuffer = lines.pop() || ''; // Keep incomplete line in buffer
-        
-        lines.forEach(line => {
-            line = line.trim();
-            if (line) {
-                this.parseSerialData(line);
-            }
-        });
+        // Still meant to be reading, so the stream ended under us: cable pulled or device reset
+        if (this.keepReading && this.port === port) {
+            this.handleDisconnection();
+        }
     }
 
-    parseSerialData(line) {
-        try {
-            // Log raw incoming line for debugging
-            console.log('Raw serial line:', line, 'Length:', line.length);
-            
-            // Expected format: 100 comma-separated values (10x10 pressure matrix)
-            const values = line.split(',');
-            
-            console.log('Split values count:', values.length);
-            
-            if (values.length === 100) {
-                const pressureMatrix = values.map((val, index) => {
-                    const trimmed = val.trim();
-                    const pressure = parseInt(trimmed) || 0;
-                    const clamped = Math.max(0, Math.min(255, pressure));
-                    
-                    // Log first few values for debugging
-                    if (index < 5) {
-                        console.log(`Value ${index}: "${trimmed}" -> ${pressure} -> ${clamped}`);
-                    }
-                    
-                    return clamped;
-                });
-                
-                // Calculate and log statistics
-                const totalPressure = pressureMatrix.reduce((sum, val) => sum + val, 0);
-                const maxPressure = Math.max(...pressureMatrix);
-                const minPressure = Math.min(...pressureMatrix);
-                const nonZeroCount = pressureMatrix.filter(p => p > 0).length;
-                
-                console.log(`Pressure stats: Total=${totalPressure}, Max=${maxPressure}, Min=${minPressure}, NonZero=${nonZeroCount}`);
-                
-                if (this.onDataReceived) {
-                    this.onDataReceived(pressureMatrix);
-                }
-            } else {
-                // More detailed logging for malformed lines
-                console.warn(`Malformed line: expected 100 values, got ${values.length}`);
-                console.warn('First 10 values:', values.slice(0, 10));
-                console.warn('Line preview:', line.substring(0, 100) + (line.length > 100 ? '...' : ''));
-            }
-        } catch (error) {
-            console.error('Error parsing serial data:', error);
-            console.error('Problematic line:', line);
-        }
+    // Identifies the connected board across sessions: its reported id, else what the port tells us
+    getPortKey() {
+        if (this.deviceInfo.id) return `device-${this.deviceInfo.id}`;
+
+        const info = this.port?.getInfo?.() || {};
+        return info.usbVendorId ? `usb-${info.usbVendorId}-${info.usbProductId}` : 'default';
     }
 
     async sendData(data) {
@@ -0,0 +1,268 @@
+/**
+ * Serial parser: turns the raw bytes SerialHandler reads into pressure frames
+ * (one 0-255 value per sensor, row by row). Detects the wire format, picks the
+ * handshake reply out of the stream and keeps the link statistics.
+ *
+ * Holds no port and touches no DOM, so it can run in the analysis worker.
+ * Reports through onFrame, onProtocolDetected, onDeviceInfo and onHealthUpdate.
+ */
+
+import {
+    FrameDecoder,
+    detectProtocol,
+    decodePayload,
+    scaleValue,
+    parseDeviceInfo,
+    DEFAULT_DEVICE_INFO
+} from './serial-protocol.js';
+import { LinkHealth } from './link-health.js';
+
+export class SerialParser {
+    constructor() {
+        this.onFrame = null;
+        this.onProtocolDetected = null;
+        this.onDeviceInfo = null;
+        this.onHealthUpdate = null;
+
+        // Wire format: 'auto' detects CSV or framed binary from the first bytes after connecting
+        this.protocol = 'auto';
+        this.activeProtocol = null;
+        this.detectionBuffer = new Uint8Array(0);
+        this.maxDetectionBytes = 2048; // Give up and assume CSV after this much unrecognised data
+        this.frameDecoder = new FrameDecoder();
+        this.textDecoder = new TextDecoder();
+        this.readBuffer = '';
+
+        // Geometry and value range from the device's handshake; frames wait until it is settled
+        this.deviceInfo = { ...DEFAULT_DEVICE_INFO };
+        this.handshakeTimeoutMs = 1500;
+        this.handshakeTimer = null;
+        this.handshakeText = '';
+
+        // Link statistics, reported by a watchdog tick rather than by logging every line
+        this.health = new LinkHealth();
+        this.watchdogIntervalMs = 500;
+        this.watchdogTimer = null;
+        this.linkStalled = false;
+        this.warnIntervalMs = 5000;
+        this.warnings = new Map(); // key -> { last, suppressed }
+    }
+
+    get sensorCount() {
+        return this.deviceInfo.rows * this.deviceInfo.columns;
+    }
+
+    // A port was opened: start from a clean stream and wait for the handshake reply
+    open() {
+        this.resetProtocolState();
+        this.resetHealth();
+        this.expectDeviceInfo();
+        this.startWatchdog();
+    }
+
+    // Carries on with a connection whose handshake was already answered
+    resume() {
+        this.resetProtocolState();
+        this.startWatchdog();
+    }
+
+    close() {
+        clearTimeout(this.handshakeTimer);
+        this.handshakeTimer = null;
+        this.stopWatchdog();
+    }
+
+    resetProtocolState() {
+        this.activeProtocol = this.protocol === 'auto' ? null : this.protocol;
+        this.detectionBuffer = new Uint8Array(0);
+        this.frameDecoder.reset();
+        this.textDecoder = new TextDecoder();
+        this.readBuffer = '';
+    }
+
+    expectDeviceInfo() {
+        this.handshakeText = '';
+        clearTimeout(this.handshakeTimer);
+        this.handshakeTimer = setTimeout(() => {
+            this.handshakeTimer = null;
+            console.warn(`No handshake reply, assuming a ${DEFAULT_DEVICE_INFO.rows}x${DEFAULT_DEVICE_INFO.columns} mat`);
+            this.setDeviceInfo({ ...DEFAULT_DEVICE_INFO });
+        }, this.handshakeTimeoutMs);
+    }
+
+    // The reply may arrive between binary frames, so search the text rather than split lines
+    scanForHandshake(bytes) {
+        this.handshakeText += Array.from(bytes, byte => String.fromCharCode(byte)).join('');
+        const match = this.handshakeText.match(/INFO [^\r\n]*(?=\r?\n)/);
+        if (!match) {
+            this.handshakeText = this.handshakeText.slice(-256);
+            return;
+        }
+
+        this.handshakeText = '';
+        const info = parseDeviceInfo(match[0]);
+        if (!info) {
+            console.warn('Ignoring unusable handshake reply:', match[0]);
+            return;
+        }
+        clearTimeout(this.handshakeTimer);
+        this.handshakeTimer = null;
+        this.setDeviceInfo(info);
+    }
+
+    setDeviceInfo(info) {
+        this.deviceInfo = info;
+        console.log(`Mat: ${info.rows}x${info.columns}, values ${info.minValue}-${info.maxValue}${info.reported ? `, id ${info.id}, firmware ${info.firmware}` : ''}`);
+        if (this.onDeviceInfo) {
+            this.onDeviceInfo(info);
+        }
+    }
+
+    emitFrame(pressureMatrix) {
+        this.health.recordFrame();
+        if (this.onFrame) {
+            this.onFrame(pressureMatrix);
+        }
+    }
+
+    startWatchdog() {
+        this.stopWatchdog();
+        this.linkStalled = false;
+        this.watchdogTimer = setInterval(() => this.checkLinkHealth(), this.watchdogIntervalMs);
+    }
+
+    stopWatchdog() {
+        clearInterval(this.watchdogTimer);
+        this.watchdogTimer = null;
+    }
+
+    checkLinkHealth() {
+        const health = this.health.snapshot();
+        if (health.stalled !== this.linkStalled) {
+            this.linkStalled = health.stalled;
+            if (health.stalled) {
+                console.warn(`Serial stream stalled: no frame for ${this.health.stallMs} ms`);
+            } else {
+                console.log('Serial stream resumed');
+            }
+        }
+
+        if (this.onHealthUpdate) {
+            this.onHealthUpdate(health);
+        }
+    }
+
+    resetHealth() {
+        this.health.reset();
+        this.warnings.clear();
+    }
+
+    // Repeated problems are summarised every few seconds instead of logged line by line
+    warnThrottled(key, message) {
+        const now = performance.now();
+        const entry = this.warnings.get(key) || { last: -Infinity, suppressed: 0 };
+        if (now - entry.last < this.warnIntervalMs) {
+            entry.suppressed++;
+            this.warnings.set(key, entry);
+            return;
+        }
+
+        console.warn(entry.suppressed > 0 ? `${message} (${entry.suppressed} more since the last report)` : message);
+        this.warnings.set(key, { last: now, suppressed: 0 });
+    }
+
+    push(bytes) {
+        if (this.handshakeTimer) {
+            this.scanForHandshake(bytes);
+        }
+
+        if (!this.activeProtocol) {
+            const buffered = new Uint8Array(this.detectionBuffer.length + bytes.length);
+            buffered.set(this.detectionBuffer);
+            buffered.set(bytes, this.detectionBuffer.length);
+
+            const detected = detectProtocol(buffered);
+            if (!detected && buffered.length < this.maxDetectionBytes) {
+                this.detectionBuffer = buffered;
+                return;
+            }
+
+            this.activeProtocol = detected || 'csv';
+            this.detectionBuffer = new Uint8Array(0);
+            bytes = buffered;
+            console.log(`Serial protocol: ${this.activeProtocol}${detected ? ' (detected)' : ' (assumed, nothing recognised)'}`);
+            if (this.onProtocolDetected) {
+                this.onProtocolDetected(this.activeProtocol, Boolean(detected));
+            }
+        }
+
+        const handlers = {
+            csv: data => this.processCsvData(data),
+            framed: data => this.processFramedData(data)
+        };
+        handlers[this.activeProtocol](bytes);
+    }
+
+    processFramedData(bytes) {
+        const corruptBefore = this.frameDecoder.corruptFrames;
+        const frames = this.frameDecoder.push(bytes);
+
+        const corrupt = this.frameDecoder.corruptFrames - corruptBefore;
+        if (corrupt > 0) {
+            this.health.recordCorrupt(corrupt);
+            this.warnThrottled('corrupt', `Discarded ${corrupt} corrupted frame(s) (CRC mismatch)`);
+        }
+
+        frames.forEach(frame => {
+            if (this.handshakeTimer) return; // Geometry not settled yet
+            if (frame.lost > 0) {
+                this.health.recordDropped(frame.lost);
+                this.warnThrottled('dropped', `Lost ${frame.lost} frame(s) before sequence ${frame.sequence}`);
+            }
+            const values = decodePayload(frame.payload, this.deviceInfo);
+            if (values.length !== this.sensorCount) {
+                this.health.recordMalformed();
+                this.warnThrottled('malformed', `Malformed frame: expected ${this.sensorCount} values, got ${values.length}`);
+                return;
+            }
+            this.emitFrame(values.map(value => scaleValue(value, this.deviceInfo)));
+        });
+    }
+
+    processCsvData(bytes) {
+        // Add new data to buffer
+        this.readBuffer += this.textDecoder.decode(bytes, { stream: true });
+
+        // Process complete lines
+        let lines = this.readBuffer.split('\n');
+        this.readBuffer = lines.pop() || ''; // Keep incomplete line in buffer
+
+        lines.forEach(line => {
+            line = line.trim();
+            if (line) {
+                this.parseSerialData(line);
+            }
+        });
+    }
+
+    parseSerialData(line) {
+        try {
+            // Handshake replies are picked up by scanForHandshake, and frames wait until it has settled the geometry
+            if (line.startsWith('INFO') || this.handshakeTimer) return;
+
+            // Expected format: rows x columns comma-separated values, as reported in the handshake
+            const values = line.split(',');
+
+            if (values.length === this.sensorCount) {
+                const pressureMatrix = values.map(val => scaleValue(parseInt(val.trim()) || 0, this.deviceInfo));
+                this.emitFrame(pressureMatrix);
+            } else {
+                this.health.recordMalformed();
+                this.warnThrottled('malformed', `Malformed line: expected ${this.sensorCount} values, got ${values.length}: ${line.substring(0, 60)}${line.length > 60 ? '...' : ''}`);
+            }
+        } catch (error) {
+            console.error('Error parsing serial data:', error);
+            console.error('Problematic line:', line);
+        }
+    }
+}
@@ -0,0 +1,200 @@
+/**
+ * Serial wire formats for the mat.
+ *
+ * 'csv': one ASCII line per frame of comma-separated integers (the original
+ * firmware format).
+ *
+ * 'framed': binary frames, all multi-byte fields little-endian:
+ *   FRAME_START (1) | payload length (2) | sequence number (2) | payload | CRC (2)
+ * The payload is one unsigned byte per sensor, or two (little-endian) when
+ * the device reports values above 255. The CRC is CRC-16/CCITT-FALSE
+ * over length, sequence and payload, so a corrupted frame is dropped and a
+ * gap in sequence numbers counts the frames lost in between.
+ *
+ * Handshake: the host sends HANDSHAKE_REQUEST as a line and the device
+ * answers, in either format, with one ASCII line such as
+ *   INFO id=mat-a1 fw=1.2.0 rows=16 cols=16 min=0 max=1023
+ */
+
+export const SERIAL_PROTOCOLS = {
+    auto: 'Auto-detect',
+    csv: 'CSV lines',
+    framed: 'Framed binary'
+};
+
+export const BAUD_RATES = [9600, 57600, 115200, 230400, 460800, 921600];
+
+export const HANDSHAKE_REQUEST = 'INFO?';
+
+// What a mat that doesn't answer the handshake is assumed to be
+export const DEFAULT_DEVICE_INFO = {
+    id: null,
+    firmware: null,
+    rows: 10,
+    columns: 10,
+    minValue: 0,
+    maxValue: 255,
+    reported: false
+};
+
+const MAX_SENSOR_DIMENSION = 64;
+
+export const FRAME_START = 0xA5;
+const HEADER_BYTES = 5;
+const CRC_BYTES = 2;
+const MAX_PAYLOAD = MAX_SENSOR_DIMENSION * MAX_SENSOR_DIMENSION * 2;
+
+export function crc16(bytes, start = 0, end = bytes.length) {
+    let crc = 0xFFFF;
+    for (let i = start; i < end; i++) {
+        crc ^= bytes[i] << 8;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xFFFF : (crc << 1) & 0xFFFF;
+        }
+    }
+    return crc;
+}
+
+// Builds one frame; used by tools that stand in for the firmware
+export function encodeFrame(values, sequence, valueBytes = 1) {
+    const length = values.length * valueBytes;
+    const frame = new Uint8Array(HEADER_BYTES + length + CRC_BYTES);
+    frame[0] = FRAME_START;
+    frame[1] = length & 0xFF;
+    frame[2] = length >> 8;
+    frame[3] = sequence & 0xFF;
+    frame[4] = (sequence >> 8) & 0xFF;
+    const maxValue = valueBytes === 2 ? 0xFFFF : 0xFF;
+    values.forEach((value, index) => {
+        const clamped = Math.max(0, Math.min(maxValue, Math.round(value)));
+        frame[HEADER_BYTES + index * valueBytes] = clamped & 0xFF;
+        if (valueBytes === 2) frame[HEADER_BYTES + index * 2 + 1] = clamped >> 8;
+    });
+    const crc = crc16(frame, 1, HEADER_BYTES + length);
+    frame[HEADER_BYTES + length] = crc & 0xFF;
+    frame[HEADER_BYTES + length + 1] = crc >> 8;
+    return frame;
+}
+
+export class FrameDecoder {
+    constructor() {
+        this.buffer = new Uint8Array(0);
+        this.lastSequence = null;
+        this.corruptFrames = 0;
+        this.droppedFrames = 0;
+    }
+
+    reset() {
+        this.buffer = new Uint8Array(0);
+        this.lastSequence = null;
+    }
+
+    // Returns the complete frames in `bytes` (plus anything buffered) as { sequence, payload, lost }
+    push(bytes) {
+        const buffer = new Uint8Array(this.buffer.length + bytes.length);
+        buffer.set(this.buffer);
+        buffer.set(bytes, this.buffer.length);
+
+        const frames = [];
+        let offset = 0;
+        while (offset < buffer.length) {
+            if (buffer[offset] !== FRAME_START) {
+                offset++;
+                continue;
+            }
+            if (buffer.length - offset < HEADER_BYTES) break;
+
+            const length = buffer[offset + 1] | (buffer[offset + 2] << 8);
+            if (length === 0 || length > MAX_PAYLOAD) {
+                offset++; // A payload byte that happened to look like a start byte
+                continue;
+            }
+
+            const end = offset + HEADER_BYTES + length + CRC_BYTES;
+            if (end > buffer.length) break;
+
+            const expected = buffer[end - 2] | (buffer[end - 1] << 8);
+            if (crc16(buffer, offset + 1, end - CRC_BYTES) !== expected) {
+                this.corruptFrames++;
+                offset++; // Resync on the next start byte
+                continue;
+            }
+
+            const sequence = buffer[offset + 3] | (buffer[offset + 4] << 8);
+            const lost = this.lastSequence === null ? 0 : (sequence - this.lastSequence - 1 + 0x10000) % 0x10000;
+            this.droppedFrames += lost;
+            this.lastSequence = sequence;
+
+            frames.push({ sequence, payload: buffer.slice(offset + HEADER_BYTES, end - CRC_BYTES), lost });
+            offset = end;
+        }
+
+        this.buffer = buffer.slice(offset);
+        return frames;
+    }
+}
+
+/**
+ * Guesses the format from the first bytes after connecting. Returns 'framed'
+ * once a frame passes its CRC, 'csv' once a whole line of numbers arrives,
+ * or null if it can't tell yet.
+ */
+export function detectProtocol(bytes) {
+    if (new FrameDecoder().push(bytes).length > 0) return 'framed';
+
+    const text = new TextDecoder().decode(bytes);
+    const lines = text.split('\n').slice(1, -1); // The first line may have started mid-frame
+    if (lines.some(line => /^\s*\d+(\s*,\s*\d+)+\s*$/.test(line))) return 'csv';
+
+    return null;
+}
+
+export function bytesPerValue(deviceInfo) {
+    return deviceInfo.maxValue > 255 ? 2 : 1;
+}
+
+export function decodePayload(payload, deviceInfo) {
+    if (bytesPerValue(deviceInfo) === 1) return Array.from(payload);
+
+    const values = new Array(Math.floor(payload.length / 2));
+    for (let i = 0; i < values.length; i++) {
+        values[i] = payload[i * 2] | (payload[i * 2 + 1] << 8);
+    }
+    return values;
+}
+
+// Maps the device's value range onto the 0-255 the rest of the app works in
+export function scaleValue(value, deviceInfo) {
+    const { minValue, maxValue } = deviceInfo;
+    const scaled = minValue === 0 && maxValue === 255 ? value : (value - minValue) * 255 / (maxValue - minValue);
+    return Math.max(0, Math.min(255, Math.round(scaled)));
+}
+
+// Returns device info from an INFO line, or null if it doesn't describe a usable mat
+export function parseDeviceInfo(line) {
+    const match = line.trim().match(/^INFO\s+(.*)$/);
+    if (!match) return null;
+
+    const fields = {};
+    match[1].split(/\s+/).forEach(pair => {
+        const [key, ...rest] = pair.split('=');
+        if (key && rest.length > 0) fields[key] = rest.join('=');
+    });
+
+    const rows = parseInt(fields.rows);
+    const columns = parseInt(fields.cols);
+    const minValue = fields.min !== undefined ? parseInt(fields.min) : DEFAULT_DEVICE_INFO.minValue;
+    const maxValue = fields.max !== undefined ? parseInt(fields.max) : DEFAULT_DEVICE_INFO.maxValue;
+    const validDimension = value => Number.isInteger(value) && value >= 1 && value <= MAX_SENSOR_DIMENSION;
+    if (!validDimension(rows) || !validDimension(columns) || !(maxValue > minValue) || maxValue > 0xFFFF) return null;
+
+    return {
+        id: fields.id || null,
+        firmware: fields.fw || null,
+        rows,
+        columns,
+        minValue,
+        maxValue,
+        reported: true
+    };
+}
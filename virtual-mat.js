@@ -0,0 +1,142 @@
+/**
+ * Virtual mat: a stand-in for the Arduino that emits the same pressure
+ * frames SerialParser does (one 0-255 value per sensor, row by row)
+ * through onDataReceived, so the whole pipeline can run without hardware.
+ *
+ * Frames are built from "presses" - { x, y, pressure, radius } in sensor
+ * units, each spreading as a Gaussian footprint. Presses come from
+ * setPress/releasePress (pointer input) and from scripted patterns.
+ */
+
+// Each pattern maps elapsed ms (and the targets to aim at) to the presses at that moment
+export const VIRTUAL_PATTERNS = {
+    'tap-zones': {
+        name: 'Tap each zone',
+        presses: (t, { targets }) => {
+            const step = Math.floor(t / 600);
+            const target = targets[step % targets.length];
+            return t % 600 < 300 && target ? [{ ...target, pressure: 180, radius: 1 }] : [];
+        }
+    },
+    'swell': {
+        name: 'Hold and swell',
+        presses: (t, { rows, columns }) => [{
+            x: (columns - 1) / 2,
+            y: (rows - 1) / 2,
+            pressure: 60 + 160 * (0.5 - 0.5 * Math.cos(t / 2000 * Math.PI * 2)),
+            radius: 1.2
+        }]
+    },
+    'swipe': {
+        name: 'Swipe left to right',
+        presses: (t, { rows, columns }) => {
+            const phase = t % 2000;
+            return phase < 600 ? [{ x: (columns - 1) * phase / 600, y: (rows - 1) / 2, pressure: 160, radius: 1 }] : [];
+        }
+    },
+    'stomp': {
+        name: 'Stomp',
+        presses: (t, { rows, columns }) => {
+            const phase = t % 1500;
+            return phase < 200 ? [{ x: (columns - 1) / 2, y: (rows - 1) / 2, pressure: 250, radius: 1.5 }] : [];
+        }
+    },
+    'walk': {
+        name: 'Walk across',
+        presses: (t, { rows, columns }) => {
+            const stepMs = 500;
+            const step = Math.floor(t / stepMs) % (columns + 2);
+            const foot = step % 2;
+            return [{ x: Math.min(columns - 1, step), y: (rows - 1) * (foot ? 0.65 : 0.35), pressure: 200, radius: 1.3 }];
+        }
+    }
+};
+
+export class VirtualMat {
+    constructor({ rows = 10, columns = 10, frameIntervalMs = 33, noise = 0 } = {}) {
+        this.rows = rows;
+        this.columns = columns;
+        this.frameIntervalMs = frameIntervalMs;
+        this.noise = noise; // Peak random jitter added to every sensor, to exercise the filters
+
+        this.presses = new Map(); // id -> press, from pointer input
+        this.pattern = null; // { id, targets, startedAt }
+        this.frameTimer = null;
+        this.lastFrame = [];
+        this.onDataReceived = null;
+    }
+
+    get isRunning() {
+        return this.frameTimer !== null;
+    }
+
+    resize(rows, columns) {
+        this.rows = rows;
+        this.columns = columns;
+    }
+
+    start() {
+        if (this.frameTimer) return;
+        this.frameTimer = setInterval(() => this.emitFrame(), this.frameIntervalMs);
+    }
+
+    stop() {
+        clearInterval(this.frameTimer);
+        this.frameTimer = null;
+        this.presses.clear();
+        this.pattern = null;
+    }
+
+    setPress(id, press) {
+        this.presses.set(id, press);
+    }
+
+    releasePress(id) {
+        this.presses.delete(id);
+    }
+
+    // targets: [{ x, y }] in sensor units for patterns that aim at zones
+    playPattern(id, { targets = [] } = {}) {
+        if (!VIRTUAL_PATTERNS[id]) return false;
+        this.pattern = { id, targets, startedAt: performance.now() };
+        return true;
+    }
+
+    stopPattern() {
+        this.pattern = null;
+    }
+
+    currentPresses(now = performance.now()) {
+        const presses = Array.from(this.presses.values());
+        if (this.pattern) {
+            const { id, targets, startedAt } = this.pattern;
+            presses.push(...VIRTUAL_PATTERNS[id].presses(now - startedAt, { targets, rows: this.rows, columns: this.columns }));
+        }
+        return presses;
+    }
+
+    buildFrame(presses) {
+        const frame = new Array(this.rows * this.columns);
+        for (let y = 0; y < this.rows; y++) {
+            for (let x = 0; x < this.columns; x++) {
+                let value = 0;
+                presses.forEach(press => {
+                    const distanceSquared = (x - press.x) ** 2 + (y - press.y) ** 2;
+                    value = Math.max(value, press.pressure * Math.exp(-distanceSquared / (2 * press.radius ** 2)));
+                });
+                if (this.noise > 0) {
+                    value += Math.random() * this.noise;
+                }
+                frame[y * this.columns + x] = Math.max(0, Math.min(255, Math.round(value)));
+            }
+        }
+        return frame;
+    }
+
+    emitFrame() {
+        this.lastFrame = this.buildFrame(this.currentPresses());
+        if (this.onDataReceived) {
+            this.onDataReceived(this.lastFrame);
+        }
+    }
+}
@@ -0,0 +1,123 @@
+/**
+ * Zone detector: decides when each zone turns on and off from its pressure
+ * level, with separate on/off thresholds (hysteresis) and minimum hold times
+ * per zone. While a zone is idle it also learns that zone's noise floor, which
+ * suggestThresholds turns into starting values.
+ *
+ * Dispatches 'zone-on' and 'zone-off' events with detail { zone, level }.
+ * Per-zone settings are { on, off, onHoldMs, offHoldMs }; missing fields fall
+ * back to the detector defaults.
+ */
+
+export class ZoneDetector extends EventTarget {
+    constructor(zoneCount = 0, { defaultOn = 25, offRatio = 0.7, onHoldMs = 0, offHoldMs = 50, noiseSmoothing = 0.05 } = {}) {
+        super();
+        this.defaultOn = defaultOn;
+        this.offRatio = offRatio; // Default off threshold as a fraction of the on threshold
+        this.onHoldMs = onHoldMs; // Level must stay above `on` this long before the zone fires
+        this.offHoldMs = offHoldMs; // ...and below `off` this long before it releases
+        this.noiseSmoothing = noiseSmoothing;
+
+        this.zoneSettings = [];
+        this.states = [];
+        this.resize(zoneCount);
+    }
+
+    resize(zoneCount) {
+        this.states = Array.from({ length: zoneCount }, (_, zone) => this.states[zone] || this.createState());
+        this.zoneSettings.length = zoneCount;
+    }
+
+    createState() {
+        return { on: false, since: null, noiseMean: 0, noiseVariance: 0, noiseFrames: 0 };
+    }
+
+    configure(zoneSettings) {
+        this.zoneSettings = zoneSettings.map(settings => settings || null);
+        this.resize(zoneSettings.length);
+    }
+
+    getSettings(zone) {
+        return this.resolveSettings(this.zoneSettings[zone] || {});
+    }
+
+    getDefaultSettings() {
+        return this.resolveSettings({});
+    }
+
+    resolveSettings(settings) {
+        const on = settings.on ?? this.defaultOn;
+        return {
+            on,
+            off: Math.min(settings.off ?? Math.round(on * this.offRatio), on),
+            onHoldMs: settings.onHoldMs ?? this.onHoldMs,
+            offHoldMs: settings.offHoldMs ?? this.offHoldMs
+        };
+    }
+
+    // The lowest release level anywhere; touch segmentation must reach at least this low
+    getLowestOffThreshold() {
+        return this.states.reduce((lowest, _, zone) => Math.min(lowest, this.getSettings(zone).off), this.defaultOn);
+    }
+
+    isOn(zone) {
+        return this.states[zone]?.on || false;
+    }
+
+    update(levels, rawPeaks, timestamp = performance.now()) {
+        this.states.forEach((state, zone) => {
+            const settings = this.getSettings(zone);
+            const level = levels[zone] || 0;
+
+            if (!state.on) {
+                if (level >= settings.on) {
+                    state.since ??= timestamp;
+                    if (timestamp - state.since >= settings.onHoldMs) {
+                        state.on = true;
+                        state.since = null;
+                        this.dispatchEvent(new CustomEvent('zone-on', { detail: { zone, level } }));
+                    }
+                } else {
+                    state.since = null;
+                    this.learnNoise(state, rawPeaks[zone] || 0, settings.on);
+                }
+            } else if (level < settings.off) {
+                state.since ??= timestamp;
+                if (timestamp - state.since >= settings.offHoldMs) {
+                    state.on = false;
+                    state.since = null;
+                    this.dispatchEvent(new CustomEvent('zone-off', { detail: { zone, level } }));
+                }
+            } else {
+                state.since = null;
+            }
+        });
+    }
+
+    // Only readings that stay under the on threshold count as noise, so presses don't skew it
+    learnNoise(state, rawPeak, onThreshold) {
+        if (rawPeak >= onThreshold) return;
+
+        const alpha = state.noiseFrames === 0 ? 1 : this.noiseSmoothing;
+        const deviation = rawPeak - state.noiseMean;
+        state.noiseMean += alpha * deviation;
+        state.noiseVariance = (1 - alpha) * (state.noiseVariance + alpha * deviation * deviation);
+        state.noiseFrames++;
+    }
+
+    // Off sits well clear of the noise, on a margin above off; null until a zone has been observed
+    suggestThresholds({ sigmas = 4, offMargin = 3, onMargin = 15 } = {}) {
+        return this.states.map(state => {
+            if (state.noiseFrames === 0) return null;
+            const off = Math.min(240, Math.ceil(state.noiseMean + sigmas * Math.sqrt(state.noiseVariance) + offMargin));
+            return { off, on: Math.min(255, off + onMargin) };
+        });
+    }
+
+    reset() {
+        this.states.forEach(state => {
+            state.on = false;
+            state.since = null;
+        });
+    }
+}
@@ -0,0 +1,115 @@
+/**
+ * Zone layouts: which sensors of the mat belong to which perform cell.
+ *
+ * A layout is plain data so it can be saved as JSON:
+ *   { sensorRows, sensorColumns, gridColumns, zones: [{ cells: [sensorIndex], sample, thresholds }] }
+ * `gridColumns` arranges the perform grid; `sample` is an explicit sample
+ * index for the zone, or null to assign one automatically; `thresholds` holds
+ * the zone's ZoneDetector overrides, or null to use the defaults.
+ */
+
+export const DEFAULT_SENSOR_ROWS = 10;
+export const DEFAULT_SENSOR_COLUMNS = 10;
+
+// Even splits of the sensor; 3x3 on 10x10 gives the original 3/3/4 regions
+export function createGridLayout(zoneRows, zoneColumns, sensorRows = DEFAULT_SENSOR_ROWS, sensorColumns = DEFAULT_SENSOR_COLUMNS) {
+    const rowStart = row => Math.floor(row * sensorRows / zoneRows);
+    const columnStart = column => Math.floor(column * sensorColumns / zoneColumns);
+    const zones = [];
+
+    for (let zoneRow = 0; zoneRow < zoneRows; zoneRow++) {
+        for (let zoneColumn = 0; zoneColumn < zoneColumns; zoneColumn++) {
+            const cells = [];
+            for (let y = rowStart(zoneRow); y < rowStart(zoneRow + 1); y++) {
+                for (let x = columnStart(zoneColumn); x < columnStart(zoneColumn + 1); x++) {
+                    cells.push(y * sensorColumns + x);
+                }
+            }
+            zones.push({ cells, sample: null, thresholds: null });
+        }
+    }
+
+    return { sensorRows, sensorColumns, gridColumns: zoneColumns, zones };
+}
+
+export const DEFAULT_LAYOUT = createGridLayout(3, 3);
+
+export function cloneLayout(layout) {
+    return {
+        ...layout,
+        zones: layout.zones.map(zone => ({
+            ...zone,
+            cells: [...zone.cells],
+            thresholds: zone.thresholds ? { ...zone.thresholds } : null
+        }))
+    };
+}
+
+// Returns a usable copy of saved data, or null if it doesn't describe a layout
+export function normalizeLayout(data) {
+    if (!data || !Array.isArray(data.zones)) return null;
+
+    const sensorRows = data.sensorRows || DEFAULT_SENSOR_ROWS;
+    const sensorColumns = data.sensorColumns || DEFAULT_SENSOR_COLUMNS;
+    const sensorCount = sensorRows * sensorColumns;
+
+    const zones = data.zones.map(zone => ({
+        cells: [...new Set((zone.cells || []).filter(cell => Number.isInteger(cell) && cell >= 0 && cell < sensorCount))],
+        sample: Number.isInteger(zone.sample) ? zone.sample : null,
+        thresholds: normalizeThresholds(zone.thresholds)
+    }));
+    if (zones.length === 0) return null;
+
+    return {
+        sensorRows,
+        sensorColumns,
+        gridColumns: data.gridColumns || Math.ceil(Math.sqrt(zones.length)),
+        zones
+    };
+}
+
+const THRESHOLD_KEYS = ['on', 'off', 'onHoldMs', 'offHoldMs'];
+
+function normalizeThresholds(thresholds) {
+    if (!thresholds) return null;
+    const normalized = {};
+    THRESHOLD_KEYS.forEach(key => {
+        if (Number.isFinite(thresholds[key]) && thresholds[key] >= 0) {
+            normalized[key] = thresholds[key];
+        }
+    });
+    return Object.keys(normalized).length > 0 ? normalized : null;
+}
+
+// Golden-angle hues keep neighbouring zone numbers visually distinct
+export function getZoneColor(zoneIndex, alpha = 1) {
+    return `hsla(${(zoneIndex * 137.5) % 360}, 55%, 35%, ${alpha})`;
+}
+
+// Sensor index -> zone index (or -1), for painting the editor
+export function getSensorZoneMap(layout) {
+    const map = new Array(layout.sensorRows * layout.sensorColumns).fill(-1);
+    layout.zones.forEach((zone, zoneIndex) => {
+        zone.cells.forEach(cell => {
+            map[cell] = zoneIndex;
+        });
+    });
+    return map;
+}
+
+// A sensor belongs to one zone at a time, so painting moves it
+export function assignSensorToZone(layout, sensorIndex, zoneIndex) {
+    layout.zones.forEach((zone, index) => {
+        if (index !== zoneIndex) {
+            zone.cells = zone.cells.filter(cell => cell !== sensorIndex);
+        }
+    });
+    const zone = layout.zones[zoneIndex];
+    if (zone && !zone.cells.includes(sensorIndex)) {
+        zone.cells.push(sensorIndex);
+    }
+}
+
+export function getZonePeakPressures(layout, pressureMatrix) {
+    return layout.zones.map(zone => zone.cells.reduce((peak, cell) => Math.max(peak, pressureMatrix[cell] || 0), 0));
+}